@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Organization = require('../models/Organization');
+const { getAccess, hasPermission } = require('../utils/permissions');
+const { runWithTenant } = require('../utils/tenancy');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,24 +14,64 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are only valid while their session has not been revoked
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || String(session.user) !== String(decoded.userId)) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    // The token names the user's organization; it must still match and still be active
+    const organization = decoded.organizationId && await Organization.findById(decoded.organizationId).lean();
+    if (String(user.organization || '') !== String(decoded.organizationId || '') ||
+      (user.organization && (!organization || !organization.isActive))) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    // Permissions and scope of the user's role, used by authorize() and the scoping helpers
+    user.access = await getAccess(user);
+
     req.user = user;
+    req.sessionId = session._id;
+    req.organization = organization || null;
+
+    // Everything after this point only sees the organization's data
+    if (organization) {
+      return runWithTenant(organization, next);
+    }
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-const adminAuth = async (req, res, next) => {
+// Signed-in users whose role grants the permission, e.g. authorize('timesheets:review')
+const authorize = (permission) => async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      // Super admins work outside any organization and use the /api/super routes instead
+      if (!req.organization || !hasPermission(req.user, permission)) {
+        return res.status(403).json({ message: `Access denied. ${permission} permission required.` });
+      }
+      next();
+    });
+  } catch (error) {
+    res.status(401).json({ message: 'Authorization failed' });
+  }
+};
+
+// Platform super admins, for provisioning organizations
+const superAdminAuth = async (req, res, next) => {
   try {
     await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin role required.' });
+      if (!req.user.isSuperAdmin) {
+        return res.status(403).json({ message: 'Access denied. Super admin required.' });
       }
       next();
     });
@@ -36,4 +80,4 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+module.exports = { auth, authorize, superAdminAuth };
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/validation');
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'SERVER_ERROR'
+};
+
+const sendError = (res, status, code, message, details = []) => res.status(status).json({ code, message, details });
+
+// Give every error response the same { code, message, details } shape. Handlers that answer
+// with just { message } get the code for their status.
+const errorFormat = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      body = {
+        ...body,
+        code: STATUS_CODES[res.statusCode] || 'ERROR',
+        details: body.details || []
+      };
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+// Requests that match no route
+const notFound = (req, res) => sendError(res, 404, 'NOT_FOUND', 'Route not found');
+
+// Fields of a duplicate key error, without the organization every unique index starts with
+const duplicateFields = (error) => Object.keys(error.keyValue || error.keyPattern || {})
+  .filter(field => field !== 'organization');
+
+// Central error handler: known errors become 4xx responses, anything else is logged as a 500.
+// Express recognises error handlers by their four parameters, so `next` stays in the signature.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  if (error instanceof AppError) {
+    return sendError(res, error.status, error.code, error.message, error.details);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map(e => ({ location: 'body', field: e.path, message: e.message }));
+    return sendError(res, 400, 'VALIDATION_ERROR', details[0]?.message || 'Validation failed', details);
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return sendError(res, 400, 'VALIDATION_ERROR', `${error.path} is not valid`, [
+      { location: 'body', field: error.path, message: `Must be a valid ${error.kind}` }
+    ]);
+  }
+
+  if (error.code === 11000) {
+    const fields = duplicateFields(error);
+    return sendError(
+      res,
+      409,
+      'DUPLICATE_KEY',
+      fields.length ? `A record with this ${fields.join(' and ')} already exists` : 'Record already exists',
+      fields.map(field => ({ location: 'body', field, message: 'Already in use' }))
+    );
+  }
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  sendError(res, 500, 'SERVER_ERROR', 'Server error');
+};
+
+module.exports = { errorFormat, notFound, errorHandler };
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'review', 'submit'],
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['Timesheet', 'TimesheetPeriod', 'User'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The employee the change concerns (timesheet owner, or the user itself)
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String,
+    default: ''
+  },
+  actorRole: {
+    type: String,
+    default: ''
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Audit entries are append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(hook => auditLogSchema.pre(hook, rejectMutation));
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditLogSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const clientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+clientSchema.plugin(tenantScoped);
+clientSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Client', clientSchema);
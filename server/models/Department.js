@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased name so "Engineering" and "engineering" are the same department
+  nameKey: {
+    type: String
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.statics.toNameKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+departmentSchema.pre('validate', function(next) {
+  this.name = String(this.name || '').trim().replace(/\s+/g, ' ');
+  this.nameKey = this.constructor.toNameKey(this.name);
+  next();
+});
+
+departmentSchema.plugin(tenantScoped);
+departmentSchema.index({ organization: 1, nameKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
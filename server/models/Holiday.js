@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.plugin(tenantScoped);
+holidaySchema.index({ organization: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
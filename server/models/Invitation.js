@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  role: {
+    type: String,
+    enum: ['employee', 'manager'],
+    default: 'employee'
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  department: {
+    type: String,
+    default: ''
+  },
+  employeeId: {
+    type: String,
+    trim: true
+  },
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the emailed token; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+invitationSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+// Per-employee override of a leave type's yearly allowance (e.g. carry-over)
+const leaveBalanceSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  allocated: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+leaveBalanceSchema.index({ employee: 1, leaveType: 1, year: 1 }, { unique: true });
+
+leaveBalanceSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('LeaveBalance', leaveBalanceSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const leaveRequestSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employeeName: {
+    type: String,
+    required: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Working days covered, excluding weekends and holidays
+  days: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  adminComments: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ employee: 1, startDate: 1, endDate: 1 });
+
+leaveRequestSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const leaveTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Working days granted per calendar year (0 = unlimited, e.g. unpaid leave)
+  annualAllowance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paid: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+leaveTypeSchema.plugin(tenantScoped);
+leaveTypeSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveType', leaveTypeSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 180;
+
+// One sign-in attempt, successful or not. Attempts for unknown emails have no user.
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['', 'invalid_credentials', 'account_locked', 'ip_locked', 'account_deactivated', 'organization_deactivated'],
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Let MongoDB drop old history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+loginAttemptSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'timesheet_submitted',
+      'timesheet_resubmitted',
+      'timesheet_reviewed',
+      'period_submitted',
+      'period_reviewed',
+      'review_pending'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  entityType: {
+    type: String,
+    enum: ['Timesheet', 'TimesheetPeriod']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  readAt: {
+    type: Date
+  },
+  // Set once the notification has gone out by email (immediately or in a digest)
+  emailedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+notificationSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('Notification', notificationSchema);
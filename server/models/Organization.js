@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short unique name used to pick the organization when registering or running scripts
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9][a-z0-9-]*$/
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  settings: {
+    // Front-end origins allowed to call the API for this organization
+    allowedOrigins: {
+      type: [String],
+      default: []
+    },
+    // Day the week starts on (0 = Sunday ... 6 = Saturday)
+    weekStartDay: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1
+    },
+    // IANA time zone used to work out "today", e.g. Europe/London
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the emailed token; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop tokens once they have expired
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  billable: {
+    type: Boolean,
+    default: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ members: 1 });
+
+projectSchema.plugin(tenantScoped);
+projectSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Counter used by the "mongo" rate limiter store, shared by every server instance.
+// Keys name what is limited, e.g. "login:ip:203.0.113.7" or "login:account:jane@example.com".
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the current counting window
+  resetAt: {
+    type: Date,
+    required: true
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // When the entry can be dropped: the later of resetAt and lockedUntil
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+rateLimitSchema.index({ lockedUntil: 1 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
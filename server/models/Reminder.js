@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const reminderSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The working day the reminder is about
+  date: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['missing'],
+    default: 'missing'
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Set once a timesheet exists for the day
+  resolvedAt: {
+    type: Date
+  },
+  dismissedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reminderSchema.index({ employee: 1, date: 1, type: 1 }, { unique: true });
+
+reminderSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+// A generated report file in the archive
+const reportSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSchedule'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  reportType: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  rangeStart: {
+    type: Date
+  },
+  rangeEnd: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['generating', 'ready', 'failed'],
+    default: 'generating'
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  // Location of the file inside REPORT_DIR; never sent to clients
+  storagePath: {
+    type: String,
+    select: false
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  deliveredTo: {
+    type: [String],
+    default: []
+  },
+  deliveryError: {
+    type: String,
+    default: ''
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ schedule: 1, createdAt: -1 });
+
+reportSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('Report', reportSchema);
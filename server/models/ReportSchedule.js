@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const reportScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reportType: {
+    type: String,
+    enum: ['timesheets', 'review-analytics', 'compliance'],
+    required: true
+  },
+  // Report filters, e.g. { employee, project, status, groupBy, columns }
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Date range each run covers, relative to when it runs
+  range: {
+    type: String,
+    enum: ['previous-day', 'previous-week', 'previous-month', 'week-to-date', 'month-to-date'],
+    default: 'previous-week'
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'jsonl', 'pdf'],
+    default: 'csv'
+  },
+  // Cron expression in UTC, e.g. "0 7 * * 1" for Mondays at 07:00 or "@month-end"
+  cadence: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Where finished reports are sent; see registerReportTransport
+  transport: {
+    type: String,
+    default: 'email'
+  },
+  subscribers: {
+    type: [String],
+    default: []
+  },
+  // How many generated reports to keep for this schedule
+  retention: {
+    type: Number,
+    min: 1,
+    default: 12
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+
+reportScheduleSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
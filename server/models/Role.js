@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const roleSchema = new mongoose.Schema({
+  // Stored on users as `role`; unique within an organization
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z][a-z0-9_-]*$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // Whose records the role's permissions apply to: everyone, the user's department,
+  // or the people who report to the user
+  scope: {
+    type: String,
+    enum: ['all', 'department', 'reports'],
+    default: 'all'
+  },
+  // Built-in roles cannot be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.plugin(tenantScoped);
+
+roleSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
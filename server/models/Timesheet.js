@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const approvalStepSchema = require('./approvalStep');
+const { normalizeTimeBlocks, minutesToHours } = require('../utils/timeBlocks');
+
+const timeBlockSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    trim: true
+  },
+  endTime: {
+    type: String,
+    trim: true
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }
+}, { _id: false });
 
 const timesheetSchema = new mongoose.Schema({
   employee: {
@@ -14,6 +42,14 @@ const timesheetSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  period: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimesheetPeriod'
+  },
+  locked: {
+    type: Boolean,
+    default: false
+  },
   plannedWork: {
     type: String,
     required: true,
@@ -29,11 +65,32 @@ const timesheetSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  timeBlocks: {
+    type: [timeBlockSchema],
+    default: []
+  },
+  totalMinutes: {
+    type: Number,
+    default: 0
+  },
+  totalHours: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
     enum: ['pending', 'accepted', 'rejected'],
     default: 'pending'
   },
+  approvalStage: {
+    type: String,
+    enum: ['manager', 'admin', 'complete'],
+    default: 'admin'
+  },
+  approvals: {
+    type: [approvalStepSchema],
+    default: []
+  },
   adminComments: {
     type: String,
     trim: true,
@@ -50,7 +107,44 @@ const timesheetSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Recompute daily totals from time blocks and reject overlaps or more than 24h
+timesheetSchema.pre('validate', function(next) {
+  const result = normalizeTimeBlocks(this.timeBlocks.map(block => block.toObject()));
+
+  if (result.error) {
+    this.invalidate('timeBlocks', result.error);
+    return next();
+  }
+
+  this.timeBlocks = result.blocks;
+  this.totalMinutes = result.totalMinutes;
+  this.totalHours = minutesToHours(result.totalMinutes);
+  next();
+});
+
 // Compound index to prevent duplicate entries for same employee and date
 timesheetSchema.index({ employee: 1, date: 1 }, { unique: true });
+timesheetSchema.index({ period: 1 });
+
+// Full-text search, ranked with the employee name weighted highest
+timesheetSchema.index(
+  {
+    employeeName: 'text',
+    plannedWork: 'text',
+    actualWork: 'text',
+    remarks: 'text',
+    adminComments: 'text'
+  },
+  {
+    name: 'timesheet_text_search',
+    weights: { employeeName: 5, plannedWork: 2, actualWork: 2, remarks: 1, adminComments: 1 }
+  }
+);
+
+// Listing sorts and filters
+timesheetSchema.index({ date: -1 });
+timesheetSchema.index({ status: 1, date: -1 });
+
+timesheetSchema.plugin(tenantScoped, { required: true });
 
 module.exports = mongoose.model('Timesheet', timesheetSchema);
\ No newline at end of file
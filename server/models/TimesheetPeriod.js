@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const approvalStepSchema = require('./approvalStep');
+
+const timesheetPeriodSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employeeName: {
+    type: String,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'accepted', 'rejected'],
+    default: 'open'
+  },
+  submittedAt: {
+    type: Date
+  },
+  approvalStage: {
+    type: String,
+    enum: ['manager', 'admin', 'complete'],
+    default: 'admin'
+  },
+  approvals: {
+    type: [approvalStepSchema],
+    default: []
+  },
+  adminComments: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One period per employee and week
+timesheetPeriodSchema.index({ employee: 1, startDate: 1 }, { unique: true });
+
+timesheetPeriodSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('TimesheetPeriod', timesheetPeriodSchema);
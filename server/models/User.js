@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -18,28 +19,63 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Name of a Role; its permissions decide what the user can do
   role: {
     type: String,
-    enum: ['employee', 'admin'],
     default: 'employee'
   },
+  // Unique within the organization
   employeeId: {
-    type: String,
-    unique: true,
-    sparse: true
+    type: String
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
   },
+  // Name of the department, kept in step with departmentId for display and exports
   department: {
     type: String,
     default: ''
   },
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Platform operators who provision organizations; they belong to no organization
+  isSuperAdmin: {
+    type: Boolean,
+    default: false
+  },
+  notificationPreferences: {
+    // How notifications are emailed: never, as they happen, or once a day
+    emailDigest: {
+      type: String,
+      enum: ['off', 'immediate', 'daily'],
+      default: 'daily'
+    },
+    // Notification types the user does not want at all
+    mutedTypes: {
+      type: [String],
+      default: []
+    }
   }
 }, {
   timestamps: true
 });
 
+// Copy the department's name whenever the department changes
+userSchema.pre('validate', async function(next) {
+  if (!this.isModified('departmentId')) return next();
+
+  const department = this.departmentId && await mongoose.model('Department').findById(this.departmentId).select('name');
+  this.department = department ? department.name : '';
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -54,4 +90,10 @@ userSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+userSchema.plugin(tenantScoped, { required: function() { return !this.isSuperAdmin; } });
+userSchema.index(
+  { organization: 1, employeeId: 1 },
+  { unique: true, partialFilterExpression: { employeeId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
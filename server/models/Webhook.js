@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  events: {
+    type: [String],
+    required: true
+  },
+  // Shared secret for the HMAC signature; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('Webhook', webhookSchema);
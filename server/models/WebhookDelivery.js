@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: String,
+    default: ''
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  // Set when this delivery is a manual redelivery of an earlier one
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+webhookDeliverySchema.plugin(tenantScoped);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One step of the manager -> admin approval chain, shared by timesheets and periods
+const approvalStepSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['manager', 'admin'],
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerName: {
+    type: String
+  },
+  decision: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+module.exports = approvalStepSchema;
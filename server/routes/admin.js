@@ -1,501 +1,770 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Timesheet = require('../models/Timesheet');
-const { adminAuth } = require('../middleware/auth');
-const { Parser } = require('json2csv');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const Role = require('../models/Role');
+const { authorize } = require('../middleware/auth');
+const { hasPermission, getRoles, getLineManagerRoleNames, getStaffRoleNames } = require('../utils/permissions');
+const { getProjectHours } = require('../utils/projectHours');
+const { getStatusCounts } = require('../utils/analytics');
+const {
+  getScopedEmployeeIds,
+  canReviewEmployee,
+  scopeEmployeeQuery,
+  evaluateDecision,
+  applyDecision
+} = require('../utils/approvals');
+const { PERIOD_FIELDS, USER_FIELDS, snapshot, recordAudit } = require('../utils/audit');
+const { revokeAllSessions, listActiveSessions } = require('../utils/sessions');
+const { notifyReviewOutcome } = require('../utils/notifications');
+const { emitEvent, sanitizeUser } = require('../utils/webhooks');
+const { withHighlights } = require('../utils/search');
+const { buildTimesheetQuery } = require('../utils/timesheetQuery');
+const { resolveDepartment, filterByDepartment } = require('../utils/departments');
+const { reviewTimesheet } = require('../utils/reviews');
+const {
+  TIMESHEET_LIST_OPTIONS,
+  EMPLOYEE_LIST_OPTIONS,
+  parseListOptions,
+  isSelected,
+  findWithListOptions
+} = require('../utils/listing');
+const { toDayKey } = require('../utils/calendar');
+const { getMonthRange, currentMonth, sendStatementPdf } = require('../utils/statement');
+const {
+  DEFAULT_COLUMNS,
+  parseExportRequest,
+  getExportDaysOff,
+  streamTimesheetExport
+} = require('../utils/exporter');
+const {
+  z,
+  validate,
+  objectId,
+  monthString,
+  booleanString,
+  requiredString,
+  requiredSecret,
+  statusFilter,
+  idOrAll,
+  idParams,
+  listQuery,
+  dateRangeQuery
+} = require('../utils/validation');
 
-const jwt = require('jsonwebtoken');
+const router = express.Router();
+
+const BULK_REVIEW_LIMIT = 500;
+
+// Request schemas
+const TIMESHEET_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Filters understood by buildTimesheetQuery
+const timesheetFilterShape = {
+  employee: idOrAll.optional(),
+  department: z.string().optional(),
+  project: idOrAll.optional(),
+  status: statusFilter(...TIMESHEET_STATUSES),
+  search: z.string().optional()
+};
+
+const listTimesheetsQuery = dateRangeQuery({ ...timesheetFilterShape, ...listQuery });
+
+const exportTimesheetsQuery = dateRangeQuery({
+  ...timesheetFilterShape,
+  // employeeId is the older name of the employee filter
+  employeeId: idOrAll.optional(),
+  format: z.string().optional(),
+  columns: z.string().optional(),
+  includeLeave: booleanString.optional()
+});
 
-const PDFDocument = require('pdfkit'); 
+const listEmployeesQuery = z.object({ department: z.string().optional(), ...listQuery });
 
-const router = express.Router();
+// department is an id or name, '' clears it; reportsTo '' or null clears the line manager
+const employeeBody = z.object({
+  name: requiredString,
+  email: z.string().trim().email('Must be a valid email'),
+  employeeId: z.string().optional(),
+  department: z.string().nullable().optional(),
+  role: z.string().optional(),
+  reportsTo: z.union([objectId, z.literal('')]).nullable().optional()
+});
+
+const createEmployeeBody = employeeBody.extend({ password: requiredSecret });
+
+const updateEmployeeBody = employeeBody.extend({ isActive: z.boolean().optional() });
+
+const reviewBody = z.object({
+  status: z.enum(['accepted', 'rejected']),
+  adminComments: z.string().optional()
+});
+
+const bulkReviewBody = reviewBody.extend({
+  ids: z.array(objectId).min(1).max(BULK_REVIEW_LIMIT).optional(),
+  filter: dateRangeQuery(timesheetFilterShape).optional(),
+  dryRun: z.boolean().optional()
+}).refine(({ ids, filter }) => !ids !== !filter, { message: 'Provide either a list of IDs or a filter', path: ['ids'] });
+
+const listPeriodsQuery = dateRangeQuery({
+  employee: idOrAll.optional(),
+  department: z.string().optional(),
+  status: statusFilter('open', 'submitted', 'accepted', 'rejected')
+});
+
+const dashboardQuery = dateRangeQuery({ department: z.string().optional() });
+
+const singleExportQuery = z.object({
+  format: z.string().optional(),
+  columns: z.string().optional()
+});
+
+// Roles anyone who can edit employees may hand out: those limited to direct reports that grant
+// nothing the user lacks (employee and manager by default). Other roles need roles:manage.
+const getAssignableRoleNames = async (user) => (await getRoles())
+  .filter(role => role.scope === 'reports' && role.permissions.every(permission => hasPermission(user, permission)))
+  .map(role => role.name);
+
+const canAssignRole = async (user, role) => (await getAssignableRoleNames(user)).includes(role) ||
+  (hasPermission(user, 'roles:manage') && Boolean(await Role.exists({ name: role })));
+
+// Nobody manages someone holding a role they could not assign themselves, so an unscoped
+// role without roles:manage cannot edit or remove admins. Users whose role is limited to their
+// department or reports manage the employees and managers within it only.
+const canManageEmployee = async (user, employee) => {
+  if (user.access.scope === 'all') {
+    return canAssignRole(user, employee.role);
+  }
+
+  return (await getAssignableRoleNames(user)).includes(employee.role) && canReviewEmployee(user, employee._id);
+};
+
+// Check that a reportsTo value points at an active user other than the user whose role can
+// review timesheets.
+// Scoped reviewers can only pick line managers from their own scope, or themselves.
+const validateReportsTo = async (reportsTo, userId, reviewer) => {
+  if (!reportsTo) return null;
+
+  if (userId && String(reportsTo) === String(userId)) {
+    return 'An employee cannot report to themselves';
+  }
+
+  const manager = await User.findOne({
+    _id: reportsTo,
+    role: { $in: await getLineManagerRoleNames() },
+    isActive: true
+  });
+  if (!manager) return 'Line manager not found';
+
+  if (reviewer && String(manager._id) !== String(reviewer._id) &&
+    !(await canReviewEmployee(reviewer, manager._id))) {
+    return 'Line manager not found';
+  }
+
+  return null;
+};
 
-// ✅ Get all employees
-router.get('/employees', adminAuth, async (req, res) => {
+// Department to give an employee: department-scoped users always use their own, others pass an
+// id or name ('' clears it). Returns { departmentId } (undefined when unchanged) or { error }.
+const resolveEmployeeDepartment = async (user, department) => {
+  if (user.access.scope === 'department') return { departmentId: user.departmentId };
+  if (department === undefined) return {};
+  if (!department) return { departmentId: null };
+
+  const found = await resolveDepartment(department);
+  return found ? { departmentId: found._id } : { error: 'Department not found' };
+};
+
+// ✅ Get all employees (limited to the user's department or reports when their role is scoped)
+router.get('/employees', authorize('employees:read'), validate({ query: listEmployeesQuery }), async (req, res, next) => {
   try {
-    const employees = await User.find({ role: 'employee' })
-      .select('-password')
-      .sort({ name: 1 });
+    const { department } = req.query;
+    const query = { role: { $ne: 'admin' } };
+
+    if (department && department !== 'all') {
+      const found = await resolveDepartment(department);
+      query.departmentId = found ? found._id : { $in: [] };
+    }
+
+    const scopedIds = await getScopedEmployeeIds(req.user);
+    if (scopedIds) {
+      query._id = { $in: scopedIds };
+    }
+
+    const options = parseListOptions(req.query, EMPLOYEE_LIST_OPTIONS);
+    const employees = await findWithListOptions(User, query, options, q => {
+      if (!options.select) q = q.select('-password');
+      return isSelected(options.select, 'reportsTo') ? q.populate('reportsTo', 'name email') : q;
+    });
+
     res.json(employees);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// ✅ Create employee
-router.post('/employees', adminAuth, async (req, res) => {
+// ✅ Create employee (department admins create them in their own department)
+router.post('/employees', authorize('employees:write'), validate({ body: createEmployeeBody }), async (req, res, next) => {
   try {
-    const { name, email, password, employeeId, department } = req.body;
+    const { name, email, password, employeeId, department, role, reportsTo } = req.body;
 
-    const existingUser = await User.findOne({ email });
+    // Email addresses are unique across all organizations
+    const existingUser = await User.findOne({ email }).setOptions({ allOrganizations: true });
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
+    const reportsToError = await validateReportsTo(reportsTo, null, req.user);
+    if (reportsToError) {
+      return res.status(400).json({ message: reportsToError });
+    }
+
+    const { departmentId, error: departmentError } = await resolveEmployeeDepartment(req.user, department);
+    if (departmentError) {
+      return res.status(400).json({ message: departmentError });
+    }
+
     const employee = new User({
       name,
       email,
       password,
       employeeId,
-      department,
-      role: 'employee'
+      departmentId: departmentId || undefined,
+      reportsTo: reportsTo || undefined,
+      role: role && await canAssignRole(req.user, role) ? role : 'employee'
     });
 
     await employee.save();
 
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'User',
+      entityId: employee._id,
+      subject: employee._id,
+      before: {},
+      after: snapshot(employee, USER_FIELDS)
+    });
+
+    await emitEvent('employee.created', sanitizeUser(employee));
+
     const employeeData = employee.toObject();
     delete employeeData.password;
 
     res.status(201).json(employeeData);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // ✅ Update employee
-router.put('/employees/:id', adminAuth, async (req, res) => {
+router.put('/employees/:id', authorize('employees:write'), validate({ params: idParams, body: updateEmployeeBody }), async (req, res, next) => {
   try {
-    const { name, email, employeeId, department, isActive } = req.body;
+    const { name, email, employeeId, department, isActive, role, reportsTo } = req.body;
 
     const employee = await User.findById(req.params.id);
-    if (!employee) {
+    if (!employee || !(await canManageEmployee(req.user, employee))) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
+    const reportsToError = await validateReportsTo(reportsTo, employee._id, req.user);
+    if (reportsToError) {
+      return res.status(400).json({ message: reportsToError });
+    }
+
+    const { departmentId, error: departmentError } = await resolveEmployeeDepartment(req.user, department);
+    if (departmentError) {
+      return res.status(400).json({ message: departmentError });
+    }
+
+    const before = snapshot(employee, USER_FIELDS);
+
     employee.name = name;
     employee.email = email;
     employee.employeeId = employeeId;
-    employee.department = department;
     employee.isActive = isActive;
 
+    if (departmentId !== undefined) {
+      employee.departmentId = departmentId || undefined;
+    }
+
+    if (role !== undefined && employee.role !== 'admin' && await canAssignRole(req.user, role)) {
+      employee.role = role;
+    }
+
+    if (reportsTo !== undefined) {
+      employee.reportsTo = reportsTo || undefined;
+    }
+
     await employee.save();
 
+    // Deactivated accounts are signed out everywhere
+    if (!employee.isActive) {
+      await revokeAllSessions(employee._id, 'account deactivated');
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: employee._id,
+      subject: employee._id,
+      before,
+      after: snapshot(employee, USER_FIELDS)
+    });
+
+    await emitEvent('employee.updated', sanitizeUser(employee));
+
     const employeeData = employee.toObject();
     delete employeeData.password;
 
     res.json(employeeData);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // ✅ Delete employee
-router.delete('/employees/:id', adminAuth, async (req, res) => {
+router.delete('/employees/:id', authorize('employees:delete'), validate({ params: idParams }), async (req, res, next) => {
   try {
     const employee = await User.findById(req.params.id);
-    if (!employee) {
+    if (!employee || !(await canManageEmployee(req.user, employee))) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await revokeAllSessions(req.params.id, 'account deleted');
+    await User.updateMany({ reportsTo: req.params.id }, { $unset: { reportsTo: 1 } });
     await Timesheet.deleteMany({ employee: req.params.id });
+    await TimesheetPeriod.deleteMany({ employee: req.params.id });
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'User',
+      entityId: employee._id,
+      subject: employee._id,
+      before: snapshot(employee, USER_FIELDS),
+      after: {}
+    });
+
+    await emitEvent('employee.deleted', sanitizeUser(employee));
 
     res.json({ message: 'Employee deleted successfully' });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// ✅ Get all timesheets with filters
-router.get('/timesheets', adminAuth, async (req, res) => {
+// ✅ Get an employee's active sessions
+router.get('/employees/:id/sessions', authorize('sessions:manage'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    const { employee, status, startDate, endDate, search } = req.query;
-    let query = {};
+    const employee = await User.findById(req.params.id);
+    if (!employee || !(await canManageEmployee(req.user, employee))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
 
-    if (employee && employee !== 'all') {
-      query.employee = employee;
+    res.json(await listActiveSessions(employee._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Monthly statement PDF for an employee (?month=YYYY-MM, current month by default)
+router.get('/employees/:id/statement', authorize('reports:export'), validate({
+  params: idParams,
+  query: z.object({ month: monthString.optional() })
+}), async (req, res, next) => {
+  try {
+    const { month = currentMonth() } = req.query;
+
+    if (!getMonthRange(month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
     }
 
-    if (status && status !== 'all') {
-      query.status = status;
+    const employee = await User.findById(req.params.id);
+    if (!employee || !(await canReviewEmployee(req.user, employee._id))) {
+      return res.status(404).json({ message: 'Employee not found' });
     }
 
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    await sendStatementPdf(res, employee, month);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Revoke all of an employee's sessions
+router.delete('/employees/:id/sessions', authorize('sessions:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const employee = await User.findById(req.params.id);
+    if (!employee || !(await canManageEmployee(req.user, employee))) {
+      return res.status(404).json({ message: 'Employee not found' });
     }
 
+    const result = await revokeAllSessions(employee._id, 'revoked by admin');
+    res.json({ message: 'Sessions revoked successfully', revoked: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Get all timesheets with filters (managers only see their direct reports)
+router.get('/timesheets', authorize('timesheets:read'), validate({ query: listTimesheetsQuery }), async (req, res, next) => {
+  try {
+    const { search } = req.query;
+    const query = await buildTimesheetQuery(req.query, req.user);
+
+    const options = parseListOptions(req.query, TIMESHEET_LIST_OPTIONS);
     if (search) {
-      query.$or = [
-        { employeeName: { $regex: search, $options: 'i' } },
-        { plannedWork: { $regex: search, $options: 'i' } },
-        { actualWork: { $regex: search, $options: 'i' } }
-      ];
+      options.textScore = true;
+      if (!req.query.sort) {
+        options.sort = { score: { $meta: 'textScore' }, date: -1, _id: -1 };
+      }
     }
 
-    const timesheets = await Timesheet.find(query)
-      .populate('employee', 'name email employeeId department')
-      .populate('reviewedBy', 'name')
-      .sort({ date: -1 });
+    const timesheets = await findWithListOptions(Timesheet, query, options, q => {
+      if (isSelected(options.select, 'employee')) q = q.populate('employee', 'name email employeeId department');
+      if (isSelected(options.select, 'reviewedBy')) q = q.populate('reviewedBy', 'name');
+      if (isSelected(options.select, 'timeBlocks')) q = q.populate('timeBlocks.project', 'name code');
+      return search ? q.lean() : q;
+    });
 
-    res.json(timesheets);
+    res.json(search ? withHighlights(timesheets, search) : timesheets);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// ✅ Review timesheet (accept/reject)
-router.put('/timesheets/:id/review', adminAuth, async (req, res) => {
+// ✅ Review timesheet (accept/reject) — line manager first, then admin sign-off
+router.put('/timesheets/:id/review', authorize('timesheets:review'), validate({ params: idParams, body: reviewBody }), async (req, res, next) => {
   try {
     const { status, adminComments } = req.body;
 
     const timesheet = await Timesheet.findById(req.params.id);
-    if (!timesheet) {
+    if (!timesheet || !(await canReviewEmployee(req.user, timesheet.employee))) {
       return res.status(404).json({ message: 'Timesheet not found' });
     }
 
-    timesheet.status = status;
-    timesheet.adminComments = adminComments;
-    timesheet.reviewedBy = req.user._id;
-    timesheet.reviewedAt = new Date();
-
-    await timesheet.save();
+    const { error } = await reviewTimesheet(req, timesheet, status, adminComments);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
     const populatedTimesheet = await Timesheet.findById(timesheet._id)
       .populate('employee', 'name email employeeId department')
-      .populate('reviewedBy', 'name');
+      .populate('reviewedBy', 'name')
+      .populate('approvals.reviewer', 'name role');
 
     res.json(populatedTimesheet);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// ✅ Export all timesheets as CSV
-router.get('/timesheets/export/csv', adminAuth, async (req, res) => {
+// ✅ Bulk review — apply one decision to a list of IDs or to every timesheet matching a filter.
+// With dryRun the response lists what would change without touching anything.
+router.post('/timesheets/bulk-review', authorize('timesheets:review'), validate({ body: bulkReviewBody }), async (req, res, next) => {
   try {
-    const timesheets = await Timesheet.find({})
-      .populate('employee', 'name email employeeId department')
-      .sort({ date: -1 });
-
-    const data = timesheets.map(t => ({
-      employeeName: t.employeeName,
-      employeeEmail: t.employee?.email || '',
-      employeeId: t.employee?.employeeId || '',
-      department: t.employee?.department || '',
-      date: t.date.toISOString().split('T')[0],
-      plannedWork: t.plannedWork,
-      actualWork: t.actualWork,
-      remarks: t.remarks,
-      status: t.status,
-      adminComments: t.adminComments
-    }));
-
-    const fields = ['employeeName', 'employeeEmail', 'employeeId', 'department', 'date', 'plannedWork', 'actualWork', 'remarks', 'status', 'adminComments'];
-    const opts = { fields };
-
-    const parser = new Parser(opts);
-    const csv = parser.parse(data);
-
-    res.header('Content-Type', 'text/csv');
-    res.attachment('all-timesheets.csv');
-    res.send(csv);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+    const { ids, filter, status, adminComments, dryRun = false } = req.body;
 
-// ✅ Admin Dashboard Stats — CORRECTLY PLACED OUTSIDE other routes
-router.get('/dashboard', adminAuth, async (req, res) => {
-  try {
-    const totalTimesheets = await Timesheet.countDocuments();
-    const pending = await Timesheet.countDocuments({ status: 'pending' });
-    const accepted = await Timesheet.countDocuments({ status: 'accepted' });
-    const rejected = await Timesheet.countDocuments({ status: 'rejected' });
+    let timesheets;
+    const results = [];
 
-    const totalEmployees = await User.countDocuments({ role: 'employee' });
+    if (ids) {
+      const scope = await buildTimesheetQuery({}, req.user);
+      timesheets = await Timesheet.find({ ...scope, _id: { $in: ids } });
+
+      const foundIds = new Set(timesheets.map(t => String(t._id)));
+      ids.filter(id => !foundIds.has(String(id)))
+        .forEach(id => results.push({ id, result: 'failed', reason: 'Timesheet not found' }));
+    } else {
+      // Filters default to the review queue rather than every timesheet
+      const query = await buildTimesheetQuery({ status: 'pending', ...filter }, req.user);
+      timesheets = await Timesheet.find(query).sort({ date: 1 }).limit(BULK_REVIEW_LIMIT + 1);
+
+      if (timesheets.length > BULK_REVIEW_LIMIT) {
+        return res.status(400).json({
+          message: `Filter matches more than ${BULK_REVIEW_LIMIT} timesheets. Narrow it down and try again.`
+        });
+      }
+    }
+
+    for (const timesheet of timesheets) {
+      const item = { id: String(timesheet._id), employeeName: timesheet.employeeName, date: timesheet.date };
+
+      if (timesheet.status !== 'pending') {
+        results.push({ ...item, result: 'failed', reason: `Already ${timesheet.status}` });
+        continue;
+      }
+
+      if (dryRun) {
+        const { final, error } = evaluateDecision(timesheet, req.user, status, adminComments);
+        results.push(error
+          ? { ...item, result: 'failed', reason: error }
+          : { ...item, result: 'would_update', from: timesheet.status, to: final ? status : 'pending', awaitingAdmin: !final });
+        continue;
+      }
+
+      try {
+        const { final, error } = await reviewTimesheet(req, timesheet, status, adminComments);
+        results.push(error
+          ? { ...item, result: 'failed', reason: error }
+          : { ...item, result: 'updated', status: timesheet.status, final });
+      } catch (error) {
+        console.error(error);
+        results.push({ ...item, result: 'failed', reason: 'Server error' });
+      }
+    }
+
+    const count = result => results.filter(r => r.result === result).length;
 
     res.json({
-      totalTimesheets,
-      pending,
-      accepted,
-      rejected,
-      totalEmployees,
+      dryRun: Boolean(dryRun),
+      summary: {
+        total: results.length,
+        updated: count(dryRun ? 'would_update' : 'updated'),
+        failed: count('failed')
+      },
+      results
     });
-  } catch (err) {
-    console.error('Dashboard error:', err);
-    res.status(500).json({ message: 'Server error' });
+  } catch (error) {
+    next(error);
   }
 });
 
-
-// Download a single timesheet as PDF
-router.get('/timesheets/:id/download', adminAuth, async (req, res) => {
+// ✅ Get weekly periods with filters (managers only see their direct reports)
+router.get('/periods', authorize('timesheets:read'), validate({ query: listPeriodsQuery }), async (req, res, next) => {
   try {
-    const timesheet = await Timesheet.findById(req.params.id).populate('employee', 'name email');
+    const { employee, department, status, startDate, endDate } = req.query;
+    const query = {};
 
-    if (!timesheet) {
-      return res.status(404).json({ message: 'Timesheet not found' });
+    if (employee && employee !== 'all') {
+      query.employee = employee;
     }
 
-    const doc = new PDFDocument();
-    const filename = `timesheet-${timesheet._id}.pdf`;
+    if (status && status !== 'all') {
+      query.status = status;
+    }
 
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/pdf');
-    doc.pipe(res);
+    if (startDate && endDate) {
+      query.startDate = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
 
-    doc.fontSize(18).text('Timesheet Details', { align: 'center' }).moveDown();
-    doc.fontSize(12)
-      .text(`Employee Name: ${timesheet.employeeName}`)
-      .text(`Date: ${new Date(timesheet.date).toLocaleDateString()}`)
-      .text(`Planned Work: ${timesheet.plannedWork}`)
-      .text(`Actual Work: ${timesheet.actualWork}`)
-      .text(`Remarks: ${timesheet.remarks || 'None'}`)
-      .text(`Status: ${timesheet.status}`)
-      .text(`Admin Comments: ${timesheet.adminComments || 'None'}`);
+    await filterByDepartment(query, department);
+    await scopeEmployeeQuery(req.user, query);
 
-    doc.end();
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Failed to download timesheet' });
-  }
-});
+    const periods = await TimesheetPeriod.find(query)
+      .populate('employee', 'name email employeeId department')
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: -1 });
 
-// Download individual timesheet as PDF
-router.get('/timesheets/:id/export/pdf', adminAuth, async (req, res) => {
-  try {
-    const timesheet = await Timesheet.findById(req.params.id);
-    if (!timesheet) return res.status(404).json({ message: 'Not found' });
-
-    const doc = new PDFDocument();
-    const filename = `Timesheet_${timesheet.employeeName}_${new Date(timesheet.date).toISOString().split('T')[0]}.pdf`;
-
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/pdf');
-
-    doc.pipe(res);
-    doc.fontSize(20).text('Timesheet Report', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(12).text(`Employee: ${timesheet.employeeName}`);
-    doc.text(`Date: ${new Date(timesheet.date).toLocaleDateString()}`);
-    doc.text(`Planned Work: ${timesheet.plannedWork}`);
-    doc.text(`Actual Work: ${timesheet.actualWork}`);
-    doc.text(`Remarks: ${timesheet.remarks}`);
-    doc.text(`Status: ${timesheet.status}`);
-    if (timesheet.adminComments) {
-      doc.text(`Admin Comments: ${timesheet.adminComments}`);
-    }
-    doc.end();
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Failed to generate PDF' });
+    res.json(periods);
+  } catch (error) {
+    next(error);
   }
 });
 
-// Export all filtered timesheets (CSV)
-router.get('/timesheets/export/csv', adminAuth, async (req, res) => {
+// ✅ Get a single period with its days
+router.get('/periods/:id', authorize('timesheets:read'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    const { employee, date, month } = req.query;
-    const query = {};
+    const period = await TimesheetPeriod.findById(req.params.id)
+      .populate('employee', 'name email employeeId department')
+      .populate('reviewedBy', 'name')
+      .populate('approvals.reviewer', 'name role');
 
-    if (employee) query.employee = employee;
-    if (date) query.date = new Date(date);
-    if (month) {
-      const [year, mon] = month.split('-');
-      const start = new Date(year, mon - 1, 1);
-      const end = new Date(year, mon, 0);
-      query.date = { $gte: start, $lte: end };
+    if (!period || !(await canReviewEmployee(req.user, period.employee._id))) {
+      return res.status(404).json({ message: 'Period not found' });
     }
 
-    const timesheets = await Timesheet.find(query).sort({ date: -1 });
-
-    const fields = ['employeeName', 'date', 'plannedWork', 'actualWork', 'remarks', 'status', 'adminComments'];
-    const parser = new Parser({ fields });
-    const csv = parser.parse(timesheets);
+    const days = await Timesheet.find({ period: period._id })
+      .populate('reviewedBy', 'name')
+      .sort({ date: 1 });
 
-    res.header('Content-Type', 'text/csv');
-    res.attachment('filtered_timesheets.csv');
-    res.send(csv);
+    res.json({ period, days });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'CSV export failed' });
+    next(error);
   }
 });
 
-
-// Filtered export for a specific employee (CSV/PDF)
-router.get('/timesheets/export', adminAuth, async (req, res) => {
+// ✅ Review a whole week (accept/reject), recording the step on every day
+router.put('/periods/:id/review', authorize('timesheets:review'), validate({ params: idParams, body: reviewBody }), async (req, res, next) => {
   try {
-    const { employeeId, format, startDate, endDate } = req.query;
+    const { status, adminComments } = req.body;
 
-    if (!employeeId || !format) {
-      return res.status(400).json({ message: 'Employee ID and format are required' });
+    const period = await TimesheetPeriod.findById(req.params.id);
+    if (!period || !(await canReviewEmployee(req.user, period.employee))) {
+      return res.status(404).json({ message: 'Period not found' });
     }
 
-    let query = { employee: employeeId };
-
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+    if (period.status !== 'submitted') {
+      return res.status(400).json({ message: 'Only submitted periods can be reviewed' });
     }
 
-    const timesheets = await Timesheet.find(query).sort({ date: -1 });
-
-    if (format === 'csv') {
-      const fields = ['employeeName', 'date', 'plannedWork', 'actualWork', 'remarks', 'status', 'adminComments'];
-      const parser = new Parser({ fields });
-      const csv = parser.parse(timesheets);
-
-      res.header('Content-Type', 'text/csv');
-      res.attachment('filtered_timesheets.csv');
-      return res.send(csv);
+    const { step, final, error } = evaluateDecision(period, req.user, status, adminComments);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    if (format === 'pdf') {
-      const doc = new PDFDocument();
-      const filename = `filtered_timesheets.pdf`;
+    const before = snapshot(period, PERIOD_FIELDS);
+    applyDecision(period, step, final);
+    await period.save();
+
+    await recordAudit(req, {
+      action: 'review',
+      entityType: 'TimesheetPeriod',
+      entityId: period._id,
+      subject: period.employee,
+      before,
+      after: snapshot(period, PERIOD_FIELDS)
+    });
 
-      res.setHeader('Content-disposition', `attachment; filename="${filename}"`);
-      res.setHeader('Content-type', 'application/pdf');
+    await notifyReviewOutcome({ entityType: 'TimesheetPeriod', doc: period, step, final, label: 'Weekly timesheet' });
+
+    // Accepted weeks stay locked, rejected weeks are handed back for editing
+    const dayUpdate = { $push: { approvals: step } };
+    if (final) {
+      dayUpdate.$set = {
+        status,
+        approvalStage: 'complete',
+        reviewedBy: step.reviewer,
+        reviewedAt: step.decidedAt,
+        locked: status === 'accepted'
+      };
+      if (adminComments) {
+        dayUpdate.$set.adminComments = adminComments;
+      }
+    } else {
+      dayUpdate.$set = { approvalStage: period.approvalStage };
+    }
+    await Timesheet.updateMany({ period: period._id }, dayUpdate);
 
-      doc.pipe(res);
-      doc.fontSize(18).text('Filtered Timesheets Report', { align: 'center' }).moveDown();
+    // Announce each day once it carries the decision
+    const reviewedDays = await Timesheet.find({ period: period._id });
+    for (const day of reviewedDays) {
+      await emitEvent('timesheet.reviewed', day);
+    }
 
-      timesheets.forEach((ts, i) => {
-        doc.fontSize(12)
-          .text(`Date: ${new Date(ts.date).toLocaleDateString()}`)
-          .text(`Planned: ${ts.plannedWork}`)
-          .text(`Actual: ${ts.actualWork}`)
-          .text(`Remarks: ${ts.remarks}`)
-          .text(`Status: ${ts.status}`)
-          .text(`Comments: ${ts.adminComments || '-'}`)
-          .moveDown();
-      });
+    const populatedPeriod = await TimesheetPeriod.findById(period._id)
+      .populate('employee', 'name email employeeId department')
+      .populate('reviewedBy', 'name')
+      .populate('approvals.reviewer', 'name role');
 
-      doc.end();
-    } else {
-      res.status(400).json({ message: 'Invalid format' });
-    }
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Failed to export timesheets' });
+    res.json(populatedPeriod);
+  } catch (error) {
+    next(error);
   }
 });
 
-router.get('/timesheets/:id/export/pdf', async (req, res) => {
+// Stream the timesheets matching the listing filters as CSV, XLSX, JSON Lines or PDF.
+// Leave (and, for a single employee, holidays) is merged in unless the filters are about
+// review outcome, project or search terms, or ?includeLeave=false.
+const exportTimesheets = (defaultColumns, filename) => async (req, res, next) => {
   try {
-    let token;
+    const { format, columns, startDate, endDate, status, project, search, includeLeave } = req.query;
+    // employeeId is the older name of the employee filter
+    const employee = req.query.employee || req.query.employeeId;
 
-    // Try to extract token from Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
-      token = req.headers.authorization.split(' ')[1];
+    const exportRequest = parseExportRequest({ format, columns }, defaultColumns);
+    if (exportRequest.error) {
+      return res.status(400).json({ message: exportRequest.error });
     }
 
-    // Fallback: allow token via query param
-    if (!token && req.query.token) {
-      token = req.query.token;
-    }
+    const query = await buildTimesheetQuery({ ...req.query, employee }, req.user);
 
-    if (!token) {
-      return res.status(401).json({ message: 'No token, authorization denied' });
+    let daysOff = [];
+    const filtersOutcome = (status && status !== 'all') || (project && project !== 'all') || search;
+    if (includeLeave !== 'false' && !filtersOutcome) {
+      const singleEmployee = mongoose.isValidObjectId(query.employee);
+      const employeeUser = singleEmployee ? await User.findById(query.employee).select('name') : null;
+
+      daysOff = await getExportDaysOff(query, {
+        employee: query.employee || null,
+        startDate,
+        endDate,
+        includeHolidays: Boolean(employeeUser),
+        employeeName: employeeUser?.name || ''
+      });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    await streamTimesheetExport(res, {
+      query,
+      ...exportRequest,
+      daysOff,
+      filename,
+      title: 'Timesheets Report'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const timesheet = await Timesheet.findById(req.params.id);
-    if (!timesheet) {
-      return res.status(404).json({ message: 'Timesheet not found' });
-    }
+// ✅ Export timesheets with the same filters as the listing (?format=csv|xlsx|jsonl|pdf&columns=...)
+router.get('/timesheets/export', authorize('reports:export'), validate({ query: exportTimesheetsQuery }), exportTimesheets(DEFAULT_COLUMNS, 'filtered_timesheets'));
 
-    // Generate simple PDF
-    const doc = new PDFDocument();
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=timesheet-${req.params.id}.pdf`);
-    doc.pipe(res);
+// ✅ Older CSV export URL, kept for existing clients; includes the employee's details
+router.get('/timesheets/export/csv', authorize('reports:export'), validate({ query: exportTimesheetsQuery }), exportTimesheets([
+  'employeeName', 'employeeEmail', 'employeeId', 'department', 'date',
+  'plannedWork', 'actualWork', 'totalHours', 'remarks', 'status', 'adminComments'
+], 'all-timesheets'));
 
-    doc.fontSize(20).text('Timesheet Details', { underline: true });
-    doc.moveDown();
-    doc.fontSize(14).text(`Employee: ${timesheet.employeeName}`);
-    doc.text(`Date: ${new Date(timesheet.date).toLocaleDateString()}`);
-    doc.text(`Planned Work: ${timesheet.plannedWork}`);
-    doc.text(`Actual Work: ${timesheet.actualWork}`);
-    doc.text(`Remarks: ${timesheet.remarks}`);
-    doc.text(`Status: ${timesheet.status}`);
-    if (timesheet.adminComments) {
-      doc.text(`Admin Comments: ${timesheet.adminComments}`);
-    }
+// ✅ Admin Dashboard Stats — CORRECTLY PLACED OUTSIDE other routes.
+// Department admins see their department; ?department= narrows it for admins.
+router.get('/dashboard', authorize('dashboard:read'), validate({ query: dashboardQuery }), async (req, res, next) => {
+  try {
+    const scope = await filterByDepartment({}, req.query.department);
+    await scopeEmployeeQuery(req.user, scope);
+    const employeeIds = scope.employee ? scope.employee.$in : null;
+
+    const { totalTimesheets, pending, accepted, rejected } = await getStatusCounts(scope);
+
+    const employeeQuery = { role: { $in: await getStaffRoleNames() } };
+    if (employeeIds) employeeQuery._id = { $in: employeeIds };
 
-    doc.end();
+    const totalEmployees = await User.countDocuments(employeeQuery);
+    const projectHours = await getProjectHours(req.query.startDate, req.query.endDate, employeeIds);
+
+    res.json({
+      totalTimesheets,
+      pending,
+      accepted,
+      rejected,
+      totalEmployees,
+      projectHours,
+    });
   } catch (err) {
-    console.error(err);
-    return res.status(401).json({ message: 'Token is not valid' });
+    next(err);
   }
 });
 
 
-router.get('/timesheets/export/csv', adminAuth, async (req, res) => {
+// Download a single timesheet (PDF unless ?format= says otherwise)
+const exportSingleTimesheet = async (req, res, next) => {
   try {
-    const { employee, startDate, endDate } = req.query;
-    let query = {};
-
-    if (employee && employee !== 'all') {
-      query.employee = employee;
+    const timesheet = await Timesheet.findById(req.params.id).select('employee employeeName date');
+    if (!timesheet || !(await canReviewEmployee(req.user, timesheet.employee))) {
+      return res.status(404).json({ message: 'Timesheet not found' });
     }
 
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+    const exportRequest = parseExportRequest({ format: 'pdf', ...req.query }, [
+      ...DEFAULT_COLUMNS.slice(0, 5), 'projects', ...DEFAULT_COLUMNS.slice(5)
+    ]);
+    if (exportRequest.error) {
+      return res.status(400).json({ message: exportRequest.error });
     }
 
-    const timesheets = await Timesheet.find(query)
-      .populate('employee', 'name email employeeId department')
-      .sort({ date: -1 });
-
-    const data = timesheets.map(t => ({
-      employeeName: t.employee?.name || t.employeeName,
-      employeeEmail: t.employee?.email || '',
-      employeeId: t.employee?.employeeId || '',
-      department: t.employee?.department || '',
-      date: t.date.toISOString().split('T')[0],
-      plannedWork: t.plannedWork,
-      actualWork: t.actualWork,
-      remarks: t.remarks,
-      status: t.status,
-      adminComments: t.adminComments || '',
-    }));
-
-    const fields = [
-      'employeeName',
-      'employeeEmail',
-      'employeeId',
-      'department',
-      'date',
-      'plannedWork',
-      'actualWork',
-      'remarks',
-      'status',
-      'adminComments'
-    ];
-
-    const parser = new Parser({ fields });
-    const csv = parser.parse(data);
-
-    res.header('Content-Type', 'text/csv');
-    res.attachment('filtered_timesheets.csv');
-    res.send(csv);
+    await streamTimesheetExport(res, {
+      query: { _id: timesheet._id },
+      ...exportRequest,
+      filename: `Timesheet_${timesheet.employeeName}_${toDayKey(timesheet.date)}`,
+      title: 'Timesheet Details'
+    });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Failed to export CSV' });
+    next(error);
   }
-});
-
-
-
+};
 
+router.get('/timesheets/:id/download', authorize('reports:export'), validate({ params: idParams, query: singleExportQuery }), exportSingleTimesheet);
+router.get('/timesheets/:id/export/pdf', authorize('reports:export'), validate({ params: idParams, query: singleExportQuery }), exportSingleTimesheet);
 
 module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { Parser } = require('json2csv');
+const { authorize } = require('../middleware/auth');
+const { GROUP_BY_OPTIONS, ANALYTICS_COLUMNS, getReviewAnalytics } = require('../utils/analytics');
+const { z, validate, integerString, dateRangeQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+// Query parameters shared by the analytics endpoints
+const analyticsQueryShape = {
+  department: z.string().optional(),
+  format: z.enum(['json', 'csv']).optional()
+};
+
+const reviewsQuery = dateRangeQuery({
+  ...analyticsQueryShape,
+  groupBy: z.enum(GROUP_BY_OPTIONS).optional(),
+  top: integerString.optional()
+});
+
+const topRejectedQuery = dateRangeQuery({
+  ...analyticsQueryShape,
+  limit: integerString.optional()
+});
+
+const sendCsv = (res, fields, rows, filename) => {
+  const parser = new Parser({ fields });
+
+  res.header('Content-Type', 'text/csv');
+  res.attachment(filename);
+  res.send(parser.parse(rows));
+};
+
+// ✅ Review analytics for a date range (and ?department=), grouped by day, week, month, department
+// or employee. Managers only see their reports. ?format=csv downloads the grouped rows.
+router.get('/analytics/reviews', authorize('analytics:read'), validate({ query: reviewsQuery }), async (req, res, next) => {
+  try {
+    const { startDate, endDate, department, groupBy = 'day', format } = req.query;
+
+    const analytics = await getReviewAnalytics({
+      startDate,
+      endDate,
+      department,
+      groupBy,
+      topLimit: Math.min(parseInt(req.query.top, 10) || 10, 100)
+    }, req.user);
+
+    if (format === 'csv') {
+      const fields = groupBy === 'employee' ? ['key', 'employeeName', ...ANALYTICS_COLUMNS.slice(1)] : ANALYTICS_COLUMNS;
+      return sendCsv(res, fields, analytics.groups, `review-analytics-by-${groupBy}.csv`);
+    }
+
+    res.json(analytics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Employees with the most rejected timesheets in a date range
+router.get('/analytics/top-rejected', authorize('analytics:read'), validate({ query: topRejectedQuery }), async (req, res, next) => {
+  try {
+    const { startDate, endDate, department, format } = req.query;
+
+    const { topRejected } = await getReviewAnalytics({
+      startDate,
+      endDate,
+      department,
+      topLimit: Math.min(parseInt(req.query.limit, 10) || 10, 100)
+    }, req.user);
+
+    if (format === 'csv') {
+      return sendCsv(res, ['employee', 'employeeName', 'rejected'], topRejected, 'top-rejected-employees.csv');
+    }
+
+    res.json(topRejected);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
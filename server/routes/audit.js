@@ -0,0 +1,143 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { authorize } = require('../middleware/auth');
+const { canReviewEmployee, scopeEmployeeQuery } = require('../utils/approvals');
+const { streamRowsExport } = require('../utils/exporter');
+const { z, validate, objectId, integerString, statusFilter, idParams, dateRangeQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+// Build an audit query from the shared list/export filters, limited to entries about the
+// people in the user's scope when their role is limited to a department or their reports
+const buildAuditQuery = async ({ entityType, action, actor, subject, startDate, endDate }, user) => {
+  const query = {};
+
+  if (entityType && entityType !== 'all') {
+    query.entityType = entityType;
+  }
+
+  if (action && action !== 'all') {
+    query.action = action;
+  }
+
+  if (actor) {
+    query.actor = actor;
+  }
+
+  if (subject) {
+    query.subject = subject;
+  }
+
+  if (startDate && endDate) {
+    query.createdAt = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  return scopeEmployeeQuery(user, query, 'subject');
+};
+
+const EXPORT_FIELDS = ['timestamp', 'action', 'entityType', 'entityId', 'subject', 'actorName', 'actorRole', 'ip', 'field', 'from', 'to'];
+
+const formatChangeValue = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+
+// Export rows for the entries matching a query, read from a cursor: one row per changed field
+async function* auditExportRows(query) {
+  const cursor = AuditLog.find(query).sort({ createdAt: 1, _id: 1 }).lean().cursor({ batchSize: 200 });
+
+  for await (const entry of cursor) {
+    const base = {
+      timestamp: entry.createdAt.toISOString(),
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: String(entry.entityId),
+      subject: entry.subject ? String(entry.subject) : '',
+      actorName: entry.actorName,
+      actorRole: entry.actorRole,
+      ip: entry.ip
+    };
+
+    if (!entry.changes?.length) {
+      yield { ...base, field: '', from: '', to: '' };
+      continue;
+    }
+
+    for (const change of entry.changes) {
+      yield { ...base, field: change.field, from: formatChangeValue(change.from), to: formatChangeValue(change.to) };
+    }
+  }
+}
+
+const auditQuery = dateRangeQuery({
+  entityType: statusFilter(...AuditLog.schema.path('entityType').enumValues),
+  action: statusFilter(...AuditLog.schema.path('action').enumValues),
+  actor: objectId.optional(),
+  subject: objectId.optional(),
+  limit: integerString.optional()
+});
+
+const limitQuery = z.object({ limit: integerString.optional() });
+
+const parseLimit = (limit) => Math.min(parseInt(limit, 10) || 100, 1000);
+
+// ✅ Get audit entries with filters
+router.get('/audit', authorize('audit:read'), validate({ query: auditQuery }), async (req, res, next) => {
+  try {
+    const entries = await AuditLog.find(await buildAuditQuery(req.query, req.user))
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit));
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Full history of one timesheet
+router.get('/audit/timesheets/:id', authorize('audit:read'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const query = await scopeEmployeeQuery(req.user, { entityType: 'Timesheet', entityId: req.params.id }, 'subject');
+    const entries = await AuditLog.find(query).sort({ createdAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ History of one user: changes made to them, their timesheets, and by them
+router.get('/audit/users/:id', authorize('audit:read'), validate({ params: idParams, query: limitQuery }), async (req, res, next) => {
+  try {
+    if (!(await canReviewEmployee(req.user, req.params.id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const entries = await AuditLog.find({
+      $or: [{ subject: req.params.id }, { actor: req.params.id }]
+    })
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit));
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Export filtered audit entries as CSV (one row per changed field)
+router.get('/audit/export/csv', authorize('audit:read'), validate({ query: auditQuery }), async (req, res, next) => {
+  try {
+    const query = await buildAuditQuery(req.query, req.user);
+
+    await streamRowsExport(res, auditExportRows(query), {
+      filename: 'audit-log',
+      format: 'csv',
+      columns: EXPORT_FIELDS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
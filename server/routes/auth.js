@@ -1,21 +1,106 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
 const { auth } = require('../middleware/auth');
+const {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../utils/sessions');
+const { generateSecret, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { isOpenRegistrationEnabled, findUsableInvitation } = require('../utils/invitations');
+const { resolveDepartment } = require('../utils/departments');
+const { runWithTenant } = require('../utils/tenancy');
+const { z, AppError, validate, requiredString, requiredSecret, idParams } = require('../utils/validation');
+const { rateLimit } = require('../utils/rateLimit');
+const {
+  sleep,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginAttempt
+} = require('../utils/logins');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId, role, email) => {
-  return jwt.sign({ userId, role, email }, process.env.JWT_SECRET, { expiresIn: '24h' });
-};
+const MIN_PASSWORD_LENGTH = 6;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 60;
 
-// Register Route
-router.post('/register', async (req, res) => {
+// Requests per IP to the unauthenticated auth routes (sign-in, sign-up, invitations, password resets)
+const authRateLimit = rateLimit({
+  prefix: 'auth:ip',
+  max: () => parseInt(process.env.AUTH_RATE_LIMIT, 10) || 20,
+  windowMs: () => (parseInt(process.env.AUTH_RATE_WINDOW_SECONDS, 10) || 60) * 1000,
+  message: 'Too many requests to the sign-in service. Try again later.'
+});
+
+// Token refreshes run in the background for every signed-in tab, so many users behind one
+// address (an office network) refresh far more often than anyone signs in. They get their
+// own, higher per-IP budget instead of using up the sign-in one.
+const refreshRateLimit = rateLimit({
+  prefix: 'refresh:ip',
+  max: () => parseInt(process.env.REFRESH_RATE_LIMIT, 10) || 120,
+  windowMs: () => (parseInt(process.env.REFRESH_RATE_WINDOW_SECONDS, 10) || 60) * 1000,
+  message: 'Too many token refreshes. Try again later.'
+});
+
+const emailField = z.string().trim().email('Must be a valid email');
+const passwordField = z.string().min(MIN_PASSWORD_LENGTH, `Must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+const registerBody = z.object({
+  name: requiredString,
+  email: emailField,
+  password: passwordField,
+  employeeId: z.string().optional(),
+  department: z.string().optional(),
+  organization: requiredString
+});
+
+const acceptInviteBody = z.object({
+  token: requiredString,
+  password: passwordField,
+  name: z.string().optional()
+});
+
+const loginBody = z.object({
+  email: requiredString,
+  password: requiredSecret
+});
+
+const refreshTokenBody = z.object({ refreshToken: requiredString });
+
+const changePasswordBody = z.object({
+  currentPassword: requiredSecret,
+  newPassword: passwordField
+});
+
+const resetPasswordBody = z.object({
+  token: requiredString,
+  password: passwordField
+});
+
+// Register Route — only available when open registration is enabled;
+// otherwise accounts are created through admin invitations
+router.post('/register', authRateLimit, validate({ body: registerBody }), async (req, res, next) => {
   try {
-    const { name, email, password, employeeId, department, role } = req.body;
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: 'Name, email, and password are required.' });
+    if (!isOpenRegistrationEnabled()) {
+      return res.status(403).json({ message: 'Registration is by invitation only' });
+    }
+
+    const { name, email, password, employeeId, department, organization } = req.body;
+
+    // Self-registration joins an existing organization, named by its slug
+    const userOrganization = await Organization.findOne({ slug: String(organization).toLowerCase(), isActive: true });
+    if (!userOrganization) {
+      return res.status(400).json({ message: 'Organization not found' });
     }
 
     // Check if user already exists
@@ -24,26 +109,29 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Validate role - default to 'employee' if not 'admin'
-    const validRoles = ['admin', 'employee'];
-    const assignedRole = validRoles.includes(role) ? role : 'employee';
+    const userDepartment = await runWithTenant(userOrganization, () => resolveDepartment(department));
+    if (department && !userDepartment) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
 
-    // Create user
+    // Self-registered accounts are always employees; roles are granted by admins
     const user = new User({
       name,
       email,
       password,
       employeeId,
-      department,
-      role: assignedRole,
+      organization: userOrganization._id,
+      departmentId: userDepartment?._id,
+      role: 'employee',
     });
 
     await user.save();
 
-    const token = generateToken(user._id, user.role, user.email);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -54,37 +142,156 @@ router.post('/register', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// Preview an invitation before accepting it
+router.get('/invitations/:token', authRateLimit, async (req, res, next) => {
+  try {
+    const invitation = await findUsableInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      department: invitation.department,
+      employeeId: invitation.employeeId,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Login Route
-router.post('/login', async (req, res) => {
+// Accept Invitation — create the invited account and sign in
+router.post('/accept-invite', authRateLimit, validate({ body: acceptInviteBody }), async (req, res, next) => {
+  try {
+    const { token, password, name } = req.body;
+
+    const invitation = await findUsableInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const accountName = name || invitation.name;
+    if (!accountName) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    // Claim the invitation first so the same token cannot create two accounts
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const user = new User({
+      name: accountName,
+      email: invitation.email,
+      password,
+      employeeId: invitation.employeeId || undefined,
+      organization: invitation.organization,
+      departmentId: invitation.departmentId,
+      department: invitation.department,
+      reportsTo: invitation.reportsTo,
+      role: invitation.role
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      await Invitation.updateOne({ _id: invitation._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+
+    claimed.user = user._id;
+    await claimed.save();
+
+    const { token: accessToken, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        employeeId: user.employeeId,
+        department: user.department,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Login Route — failed attempts are counted per account and IP; repeated failures slow
+// sign-in down and then lock it for a while. Every attempt goes into the login history.
+router.post('/login', authRateLimit, validate({ body: loginBody }), async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip };
+
+    const { locked, retryAfter, delayMs } = await checkLoginAllowed(attempt);
+    if (locked) {
+      // Attributed to the account when there is one, so it shows in the user's login history
+      const lockedUser = await User.findOne({ email }).select('email organization');
+      await recordLoginAttempt(req, { user: lockedUser, email, success: false, reason: `${locked}_locked` });
+      res.set('Retry-After', String(retryAfter));
+      return next(new AppError(429, 'LOGIN_LOCKED',
+        `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`));
+    }
+
+    await sleep(delayMs);
 
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(attempt);
+      await recordLoginAttempt(req, { email, success: false, reason: 'invalid_credentials' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check if account is active
     if (!user.isActive) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'account_deactivated' });
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(attempt);
+      await recordLoginAttempt(req, { user, success: false, reason: 'invalid_credentials' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id, user.role, user.email);
+    if (user.organization && !(await Organization.exists({ _id: user.organization, isActive: true }))) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'organization_deactivated' });
+      return res.status(400).json({ message: 'Organization is deactivated' });
+    }
+
+    await recordLoginSuccess(attempt);
+    await recordLoginAttempt(req, { user, success: true });
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -95,13 +302,187 @@ router.post('/login', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// Refresh Route — exchange a refresh token for a new token pair
+router.post('/refresh', refreshRateLimit, validate({ body: refreshTokenBody }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { session, refreshToken: newRefreshToken, error } = await rotateSession(refreshToken, req);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(session._id, 'account inactive');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      token: generateAccessToken(user, session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout Route — revoke the session of the given refresh token (or the caller's)
+router.post('/logout', validate({ body: z.object({ refreshToken: z.string().optional() }) }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      if (session) {
+        await revokeSession(session._id, 'logout');
+      }
+      return res.json({ message: 'Logged out successfully' });
+    }
+
+    await auth(req, res, async () => {
+      await revokeSession(req.sessionId, 'logout');
+      res.json({ message: 'Logged out successfully' });
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout everywhere — revoke all of the caller's sessions
+router.post('/logout-all', auth, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout all');
+    res.json({ message: 'All sessions have been revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the caller's active sessions
+router.get('/sessions', auth, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: String(session._id) === String(req.sessionId)
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the caller's sessions
+router.delete('/sessions/:id', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked by user');
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change Password — requires the current password, signs out every other session
+router.put('/password', auth, validate({ body: changePasswordBody }), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password changed', req.sessionId);
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot Password — email a single-use reset link. The response never reveals
+// whether the email belongs to an account.
+router.post('/forgot-password', authRateLimit, validate({ body: z.object({ email: requiredString }) }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    if (user && user.isActive) {
+      // Only the most recent link stays valid
+      await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+      const token = generateSecret(32);
+      await PasswordResetToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      });
+
+      const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your timesheet password',
+        text: `Hi ${user.name},\n\nUse the link below to reset your password. ` +
+          `It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\n` +
+          'If you did not ask for this, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset Password — consume a reset token and sign out every session
+router.post('/reset-password', authRateLimit, validate({ body: resetPasswordBody }), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Mark the token used atomically so it cannot be redeemed twice
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password reset');
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Get Current User
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, async (req, res, next) => {
   try {
     const user = req.user;
     res.json({
@@ -112,11 +493,17 @@ router.get('/me', auth, async (req, res) => {
         role: user.role,
         employeeId: user.employeeId,
         department: user.department,
+        permissions: user.access.permissions,
+        organization: req.organization && {
+          id: req.organization._id,
+          name: req.organization.name,
+          slug: req.organization.slug,
+          settings: req.organization.settings
+        },
       },
     });
   } catch (error) {
-    console.error('Fetch current user error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
@@ -0,0 +1,89 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { canReviewEmployee, scopeEmployeeQuery } = require('../utils/approvals');
+const { filterByDepartment } = require('../utils/departments');
+const { getWeekendDays } = require('../utils/calendar');
+const { getComplianceReport, generateReminders } = require('../utils/compliance');
+const { z, validate, dateString, idOrAll, dateRangeQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+// Weekend override from the query: "none" for none, or a list like "5,6"
+const parseWeekendDays = (weekendDays) => {
+  if (weekendDays === undefined) return getWeekendDays();
+  if (weekendDays === 'none') return [];
+
+  return String(weekendDays)
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 6);
+};
+
+// Every day of the range is checked for every employee, so the range is capped
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const limitRange = (schema) => schema.refine(
+  ({ startDate, endDate }) => (new Date(endDate) - new Date(startDate)) / DAY_MS < MAX_RANGE_DAYS,
+  { message: `Date range can cover at most ${MAX_RANGE_DAYS} days`, path: ['endDate'] }
+);
+
+const complianceQuery = limitRange(dateRangeQuery({
+  startDate: dateString,
+  endDate: dateString,
+  employee: idOrAll.optional(),
+  department: z.string().optional(),
+  weekendDays: z.string().regex(/^(none|[0-6](,[0-6])*)$/, 'Must be "none" or a list of days like "5,6"').optional()
+}));
+
+const remindersBody = limitRange(dateRangeQuery({
+  startDate: dateString,
+  endDate: dateString
+}));
+
+// ✅ Missing and late timesheets per employee for a date range
+router.get('/compliance', authorize('compliance:read'), validate({ query: complianceQuery }), async (req, res, next) => {
+  try {
+    const { startDate, endDate, employee, department, weekendDays } = req.query;
+
+    if (employee && employee !== 'all' && !(await canReviewEmployee(req.user, employee))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const scope = employee && employee !== 'all' ? { employee: { $in: [employee] } } : {};
+    await filterByDepartment(scope, department);
+    await scopeEmployeeQuery(req.user, scope);
+    const employeeIds = scope.employee ? scope.employee.$in : null;
+
+    const report = await getComplianceReport(startDate, endDate, {
+      employeeIds,
+      weekendDays: parseWeekendDays(weekendDays)
+    });
+
+    res.json({
+      startDate,
+      endDate,
+      employees: report,
+      totals: {
+        employees: report.length,
+        missingDays: report.reduce((sum, row) => sum + row.missingDates.length, 0),
+        lateSubmissions: report.reduce((sum, row) => sum + row.lateSubmissions.length, 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Generate reminders for a date range now instead of waiting for the daily job
+router.post('/compliance/reminders', authorize('compliance:remind'), validate({ body: remindersBody }), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.body;
+
+    res.json(await generateReminders(startDate, endDate));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { authorize } = require('../middleware/auth');
+const { z, validate, objectId, booleanString, requiredString, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+// Request schemas; head '' or null clears the department head
+const departmentBody = z.object({
+  name: requiredString,
+  description: z.string().optional(),
+  head: z.union([objectId, z.literal('')]).nullable().optional()
+});
+
+const updateDepartmentBody = departmentBody.partial().extend({ isActive: z.boolean().optional() });
+
+// Check that a head value points at an active user
+const validateHead = async (head) => {
+  if (!head) return null;
+
+  const user = await User.findOne({ _id: head, isActive: true });
+  return user ? null : 'Department head not found';
+};
+
+// Another department already using this name (in any case), if any
+const findNameClash = (name, departmentId) => Department.findOne({
+  nameKey: Department.toNameKey(name),
+  ...(departmentId ? { _id: { $ne: departmentId } } : {})
+});
+
+// ✅ Get all departments with their employee counts (used by the department filters)
+router.get('/departments', authorize('employees:read'), validate({ query: z.object({ active: booleanString.optional() }) }), async (req, res, next) => {
+  try {
+    const { active } = req.query;
+    const query = {};
+
+    if (active === 'true' || active === 'false') {
+      query.isActive = active === 'true';
+    }
+
+    const departments = await Department.find(query)
+      .populate('head', 'name email')
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await User.aggregate([
+      { $match: { departmentId: { $in: departments.map(d => d._id) } } },
+      { $group: { _id: '$departmentId', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.json(departments.map(department => ({
+      ...department,
+      employeeCount: countById.get(String(department._id)) || 0
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create department
+router.post('/departments', authorize('departments:manage'), validate({ body: departmentBody }), async (req, res, next) => {
+  try {
+    const { name, description, head } = req.body;
+
+    if (await findNameClash(name)) {
+      return res.status(400).json({ message: 'Department already exists with this name' });
+    }
+
+    const headError = await validateHead(head);
+    if (headError) {
+      return res.status(400).json({ message: headError });
+    }
+
+    const department = new Department({ name, description, head: head || undefined });
+    await department.save();
+
+    res.status(201).json(department);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update department (a rename is copied onto its employees and invitations)
+router.put('/departments/:id', authorize('departments:manage'), validate({ params: idParams, body: updateDepartmentBody }), async (req, res, next) => {
+  try {
+    const { name, description, head, isActive } = req.body;
+
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (name !== undefined && await findNameClash(name, department._id)) {
+      return res.status(400).json({ message: 'Department already exists with this name' });
+    }
+
+    const headError = await validateHead(head);
+    if (headError) {
+      return res.status(400).json({ message: headError });
+    }
+
+    if (name !== undefined) department.name = name;
+    if (description !== undefined) department.description = description;
+    if (head !== undefined) department.head = head || undefined;
+    if (isActive !== undefined) department.isActive = isActive;
+
+    const renamed = department.isModified('name');
+    await department.save();
+
+    if (renamed) {
+      await User.updateMany({ departmentId: department._id }, { department: department.name });
+      await Invitation.updateMany({ departmentId: department._id }, { department: department.name });
+    }
+
+    res.json(department);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete department (only when no employees belong to it)
+router.delete('/departments/:id', authorize('departments:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const employeeCount = await User.countDocuments({ departmentId: department._id });
+    if (employeeCount > 0) {
+      return res.status(400).json({ message: 'Department still has employees. Move them to another department first.' });
+    }
+
+    await Department.findByIdAndDelete(department._id);
+    await Invitation.updateMany(
+      { departmentId: department._id },
+      { $unset: { departmentId: 1 }, department: '' }
+    );
+
+    res.json({ message: 'Department deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  detectFormat,
+  parseUpload,
+  parseMapping,
+  applyMapping,
+  importEmployees,
+  importTimesheets
+} = require('../utils/imports');
+const { z, validate, booleanString } = require('../utils/validation');
+
+const router = express.Router();
+
+const IMPORTERS = {
+  employees: importEmployees,
+  timesheets: importTimesheets
+};
+
+const importParams = z.object({ type: z.enum(Object.keys(IMPORTERS)) });
+
+// mapping is checked by parseMapping; qs may have turned it into an object already
+const importQuery = z.object({
+  dryRun: booleanString.optional(),
+  overwriteLocked: booleanString.optional()
+});
+
+// Files are uploaded as the raw request body (text/csv or an .xlsx workbook)
+const rawUpload = express.raw({ type: () => true, limit: process.env.IMPORT_MAX_SIZE || '10mb' });
+
+// ✅ Columns each import accepts
+router.get('/import/fields', authorize('imports:run'), async (req, res) => {
+  res.json(IMPORT_FIELDS);
+});
+
+// ✅ Import employees or timesheets from CSV/XLSX.
+// ?dryRun=true previews the per-row result without saving anything;
+// ?overwriteLocked=true lets timesheet rows replace days in submitted or accepted weeks;
+// ?mapping[field]=Column header maps the file's columns onto ours.
+router.post('/import/:type', authorize('imports:run'), validate({ params: importParams, query: importQuery }), rawUpload, async (req, res, next) => {
+  try {
+    const importer = IMPORTERS[req.params.type];
+    if (!importer) {
+      return res.status(404).json({ message: 'Unknown import type' });
+    }
+
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ message: 'Upload a CSV or XLSX file as the request body' });
+    }
+
+    const mapping = parseMapping(req.query.mapping);
+    if (!mapping) {
+      return res.status(400).json({ message: 'Column mapping must be a JSON object' });
+    }
+
+    let records;
+    try {
+      records = await parseUpload(req.body, detectFormat(req));
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read the file: ${error.message}` });
+    }
+
+    if (!records.length) {
+      return res.status(400).json({ message: 'The file has no data rows' });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const { required, optional } = IMPORT_FIELDS[req.params.type];
+    const rows = records.map(record => applyMapping(record, [...required, ...optional], mapping));
+    const dryRun = req.query.dryRun === 'true';
+    const overwriteLocked = req.query.overwriteLocked === 'true';
+
+    const { summary, results } = await importer(req, rows, { dryRun, overwriteLocked });
+
+    res.json({ dryRun, summary, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { authorize } = require('../middleware/auth');
+const { resolveDepartment } = require('../utils/departments');
+const { issueInvitation } = require('../utils/invitations');
+const { getLineManagerRoleNames } = require('../utils/permissions');
+const { z, validate, objectId, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+// Invitations are listed without their token hash
+const INVITATION_FIELDS = '-tokenHash';
+
+const listInvitationsQuery = z.object({
+  status: z.enum(['all', 'pending', 'expired', 'accepted', 'revoked']).optional()
+});
+
+const invitationBody = z.object({
+  email: z.string().trim().email('Must be a valid email'),
+  name: z.string().optional(),
+  role: z.enum(['employee', 'manager']).optional(),
+  department: z.string().optional(),
+  employeeId: z.string().optional(),
+  reportsTo: z.union([objectId, z.literal('')]).nullable().optional()
+});
+
+// ✅ Get invitations (pending and unexpired by default)
+router.get('/invitations', authorize('invitations:manage'), validate({ query: listInvitationsQuery }), async (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const query = {};
+
+    if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .select(INVITATION_FIELDS)
+      .populate('invitedBy', 'name')
+      .populate('reportsTo', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Invite a new employee or manager
+router.post('/invitations', authorize('invitations:manage'), validate({ body: invitationBody }), async (req, res, next) => {
+  try {
+    const { email, name, role, department, employeeId, reportsTo } = req.body;
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    // Email addresses are unique across all organizations
+    const existingUser = await User.findOne({ email: normalizedEmail }).setOptions({ allOrganizations: true });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    if (employeeId && await User.exists({ employeeId })) {
+      return res.status(400).json({ message: 'Employee ID is already in use' });
+    }
+
+    const pendingInvite = await Invitation.findOne({
+      email: normalizedEmail,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pendingInvite) {
+      return res.status(400).json({ message: 'A pending invitation already exists for this email' });
+    }
+
+    if (reportsTo && !(await User.exists({ _id: reportsTo, role: { $in: await getLineManagerRoleNames() }, isActive: true }))) {
+      return res.status(400).json({ message: 'Line manager not found' });
+    }
+
+    const invitedDepartment = await resolveDepartment(department);
+    if (department && !invitedDepartment) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      name,
+      role: role === 'manager' ? 'manager' : 'employee',
+      departmentId: invitedDepartment?._id,
+      department: invitedDepartment?.name || '',
+      employeeId,
+      reportsTo: reportsTo || undefined,
+      invitedBy: req.user._id,
+      tokenHash: 'pending',
+      expiresAt: new Date()
+    });
+
+    await issueInvitation(invitation);
+
+    const invitationData = invitation.toObject();
+    delete invitationData.tokenHash;
+
+    res.status(201).json(invitationData);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Resend an invitation with a fresh link (the old link stops working)
+router.post('/invitations/:id/resend', authorize('invitations:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    await issueInvitation(invitation);
+    res.json({ message: 'Invitation resent successfully', expiresAt: invitation.expiresAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Revoke a pending invitation
+router.delete('/invitations/:id', authorize('invitations:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const Holiday = require('../models/Holiday');
+const Timesheet = require('../models/Timesheet');
+const { auth } = require('../middleware/auth');
+const { startOfDay, today, countWorkingDays } = require('../utils/calendar');
+const { getLeaveBalances } = require('../utils/leave');
+const { z, validate, objectId, dateString, yearString, statusFilter, idParams, dateRangeQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+const yearQuery = z.object({ year: yearString.optional() });
+
+const leaveRequestBody = dateRangeQuery({
+  leaveType: objectId,
+  startDate: dateString,
+  endDate: dateString,
+  reason: z.string().optional()
+});
+
+// Get active leave types
+router.get('/types', auth, async (req, res, next) => {
+  try {
+    const leaveTypes = await LeaveType.find({ isActive: true }).sort({ name: 1 });
+    res.json(leaveTypes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the holiday calendar for a year (current year by default)
+router.get('/holidays', auth, validate({ query: yearQuery }), async (req, res, next) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getUTCFullYear();
+    const holidays = await Holiday.find({
+      date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+    }).sort({ date: 1 });
+
+    res.json(holidays);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's leave balances for a year
+router.get('/balances', auth, validate({ query: yearQuery }), async (req, res, next) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getUTCFullYear();
+    res.json(await getLeaveBalances(req.user._id, year));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's leave requests (with optional status filter)
+router.get('/', auth, validate({ query: z.object({ status: statusFilter('pending', 'approved', 'rejected', 'cancelled') }) }), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const query = { employee: req.user._id };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const requests = await LeaveRequest.find(query)
+      .populate('leaveType', 'name code')
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: -1 });
+
+    res.json(requests);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request leave
+router.post('/', auth, validate({ body: leaveRequestBody }), async (req, res, next) => {
+  try {
+    const { leaveType, startDate, endDate, reason } = req.body;
+
+    if (!leaveType || !startDate || !endDate) {
+      return res.status(400).json({ message: 'Leave type, start date and end date are required' });
+    }
+
+    const start = startOfDay(startDate);
+    const end = startOfDay(endDate);
+    if (isNaN(start) || isNaN(end) || end < start) {
+      return res.status(400).json({ message: 'End date must be on or after start date' });
+    }
+
+    const type = await LeaveType.findOne({ _id: leaveType, isActive: true });
+    if (!type) {
+      return res.status(400).json({ message: 'Leave type not found' });
+    }
+
+    const days = await countWorkingDays(start, end);
+    if (!days) {
+      return res.status(400).json({ message: 'The selected dates contain no working days' });
+    }
+
+    const overlapping = await LeaveRequest.findOne({
+      employee: req.user._id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    });
+    if (overlapping) {
+      return res.status(400).json({ message: 'You already have leave requested for these dates' });
+    }
+
+    const balance = (await getLeaveBalances(req.user._id, start.getUTCFullYear()))
+      .find(b => String(b.leaveType._id) === String(type._id));
+    if (balance && balance.remaining !== null && balance.remaining < days) {
+      return res.status(400).json({ message: `Insufficient ${type.name} balance (${balance.remaining} days remaining)` });
+    }
+
+    const request = new LeaveRequest({
+      employee: req.user._id,
+      employeeName: req.user.name,
+      leaveType: type._id,
+      startDate: start,
+      endDate: end,
+      days,
+      reason
+    });
+
+    await request.save();
+
+    // Leave on days that already have timesheets is allowed, but flagged to the requester
+    const conflictingTimesheets = await Timesheet.countDocuments({
+      employee: req.user._id,
+      date: { $gte: start, $lte: new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1) }
+    });
+
+    res.status(201).json({ ...request.toObject(), conflictingTimesheets });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a leave request (pending, or approved leave that has not started yet)
+router.delete('/:id', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const request = await LeaveRequest.findOne({
+      _id: req.params.id,
+      employee: req.user._id
+    });
+
+    if (!request) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    const cancellable = request.status === 'pending' ||
+      (request.status === 'approved' && request.startDate > today());
+    if (!cancellable) {
+      return res.status(400).json({ message: 'Only pending or upcoming approved leave can be cancelled' });
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    res.json({ message: 'Leave request cancelled successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const User = require('../models/User');
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveBalance = require('../models/LeaveBalance');
+const Holiday = require('../models/Holiday');
+const { authorize } = require('../middleware/auth');
+const { canReviewEmployee, scopeEmployeeQuery } = require('../utils/approvals');
+const { filterByDepartment } = require('../utils/departments');
+const { startOfDay } = require('../utils/calendar');
+const { getLeaveBalances } = require('../utils/leave');
+const {
+  z,
+  validate,
+  objectId,
+  dateString,
+  yearString,
+  requiredString,
+  statusFilter,
+  idOrAll,
+  idParams,
+  dateRangeQuery
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Request schemas
+const leaveTypeBody = z.object({
+  name: requiredString,
+  code: requiredString,
+  annualAllowance: z.number().min(0).optional(),
+  paid: z.boolean().optional()
+});
+
+const updateLeaveTypeBody = leaveTypeBody.omit({ code: true }).partial().extend({ isActive: z.boolean().optional() });
+
+const listLeaveRequestsQuery = dateRangeQuery({
+  employee: idOrAll.optional(),
+  department: z.string().optional(),
+  status: statusFilter('pending', 'approved', 'rejected', 'cancelled')
+});
+
+const leaveReviewBody = z.object({
+  status: z.enum(['approved', 'rejected']),
+  adminComments: z.string().optional()
+});
+
+const employeeParams = z.object({ employeeId: objectId });
+
+const yearQuery = z.object({ year: yearString.optional() });
+
+const leaveBalanceBody = z.object({
+  leaveType: objectId,
+  year: z.number().int().min(1970).max(9999),
+  allocated: z.number().min(0)
+});
+
+const holidayBody = z.object({
+  name: requiredString,
+  date: dateString
+});
+
+// ✅ Get all leave types
+router.get('/leave-types', authorize('leave:manage'), async (req, res, next) => {
+  try {
+    const leaveTypes = await LeaveType.find().sort({ name: 1 });
+    res.json(leaveTypes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create leave type
+router.post('/leave-types', authorize('leave:manage'), validate({ body: leaveTypeBody }), async (req, res, next) => {
+  try {
+    const { name, code, annualAllowance, paid } = req.body;
+
+    const existingType = await LeaveType.findOne({ code: code.toUpperCase() });
+    if (existingType) {
+      return res.status(400).json({ message: 'Leave type already exists with this code' });
+    }
+
+    const leaveType = new LeaveType({ name, code, annualAllowance, paid });
+    await leaveType.save();
+
+    res.status(201).json(leaveType);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update leave type
+router.put('/leave-types/:id', authorize('leave:manage'), validate({ params: idParams, body: updateLeaveTypeBody }), async (req, res, next) => {
+  try {
+    const { name, annualAllowance, paid, isActive } = req.body;
+
+    const leaveType = await LeaveType.findById(req.params.id);
+    if (!leaveType) {
+      return res.status(404).json({ message: 'Leave type not found' });
+    }
+
+    if (name !== undefined) leaveType.name = name;
+    if (annualAllowance !== undefined) leaveType.annualAllowance = annualAllowance;
+    if (paid !== undefined) leaveType.paid = paid;
+    if (isActive !== undefined) leaveType.isActive = isActive;
+
+    await leaveType.save();
+    res.json(leaveType);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete leave type (only when it has never been requested)
+router.delete('/leave-types/:id', authorize('leave:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const leaveType = await LeaveType.findById(req.params.id);
+    if (!leaveType) {
+      return res.status(404).json({ message: 'Leave type not found' });
+    }
+
+    if (await LeaveRequest.exists({ leaveType: leaveType._id })) {
+      return res.status(400).json({ message: 'Leave type is in use. Deactivate it instead.' });
+    }
+
+    await LeaveType.findByIdAndDelete(req.params.id);
+    await LeaveBalance.deleteMany({ leaveType: leaveType._id });
+
+    res.json({ message: 'Leave type deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Get leave requests with filters (managers only see their direct reports)
+router.get('/leave-requests', authorize('leave:review'), validate({ query: listLeaveRequestsQuery }), async (req, res, next) => {
+  try {
+    const { employee, department, status, startDate, endDate } = req.query;
+    const query = {};
+
+    if (employee && employee !== 'all') {
+      query.employee = employee;
+    }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (startDate && endDate) {
+      query.startDate = { $lte: new Date(endDate) };
+      query.endDate = { $gte: new Date(startDate) };
+    }
+
+    await filterByDepartment(query, department);
+    await scopeEmployeeQuery(req.user, query);
+
+    const requests = await LeaveRequest.find(query)
+      .populate('employee', 'name email employeeId department')
+      .populate('leaveType', 'name code')
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: -1 });
+
+    res.json(requests);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Review leave request (approve/reject)
+router.put('/leave-requests/:id/review', authorize('leave:review'), validate({ params: idParams, body: leaveReviewBody }), async (req, res, next) => {
+  try {
+    const { status, adminComments } = req.body;
+
+    const request = await LeaveRequest.findById(req.params.id);
+    if (!request || !(await canReviewEmployee(req.user, request.employee))) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending leave requests can be reviewed' });
+    }
+
+    // Allowances can change while a request waits, so approval checks the balance again.
+    // The request itself is counted as pending, so only approved leave is set against it.
+    if (status === 'approved') {
+      const balance = (await getLeaveBalances(request.employee, request.startDate.getUTCFullYear()))
+        .find(b => String(b.leaveType._id) === String(request.leaveType));
+      if (balance && balance.remaining !== null && balance.allocated - balance.used < request.days) {
+        return res.status(400).json({
+          message: `Insufficient ${balance.leaveType.name} balance (${balance.allocated - balance.used} days left to approve)`
+        });
+      }
+    }
+
+    request.status = status;
+    request.adminComments = adminComments || '';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+
+    await request.save();
+
+    const populatedRequest = await LeaveRequest.findById(request._id)
+      .populate('employee', 'name email employeeId department')
+      .populate('leaveType', 'name code')
+      .populate('reviewedBy', 'name');
+
+    res.json(populatedRequest);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Get an employee's leave balances for a year
+router.get('/leave-balances/:employeeId', authorize('leave:review'), validate({ params: employeeParams, query: yearQuery }), async (req, res, next) => {
+  try {
+    if (!(await canReviewEmployee(req.user, req.params.employeeId))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getUTCFullYear();
+    res.json(await getLeaveBalances(req.params.employeeId, year));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Set an employee's allowance for a leave type and year
+router.put('/leave-balances/:employeeId', authorize('leave:manage'), validate({ params: employeeParams, body: leaveBalanceBody }), async (req, res, next) => {
+  try {
+    const { leaveType, year, allocated } = req.body;
+
+    if (!(await User.exists({ _id: req.params.employeeId }))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    if (!(await LeaveType.exists({ _id: leaveType }))) {
+      return res.status(400).json({ message: 'Leave type not found' });
+    }
+
+    await LeaveBalance.findOneAndUpdate(
+      { employee: req.params.employeeId, leaveType, year },
+      { allocated },
+      { upsert: true, runValidators: true }
+    );
+
+    res.json(await getLeaveBalances(req.params.employeeId, year));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Get holidays (optionally for one year)
+router.get('/holidays', authorize('leave:manage'), validate({ query: yearQuery }), async (req, res, next) => {
+  try {
+    const query = {};
+    const year = parseInt(req.query.year, 10);
+
+    if (year) {
+      query.date = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+    res.json(holidays);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create holiday
+router.post('/holidays', authorize('leave:manage'), validate({ body: holidayBody }), async (req, res, next) => {
+  try {
+    const { name, date } = req.body;
+
+    const day = startOfDay(date);
+    if (await Holiday.exists({ date: day })) {
+      return res.status(400).json({ message: 'A holiday already exists on this date' });
+    }
+
+    const holiday = new Holiday({ name, date: day });
+    await holiday.save();
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update holiday
+router.put('/holidays/:id', authorize('leave:manage'), validate({ params: idParams, body: holidayBody.partial() }), async (req, res, next) => {
+  try {
+    const { name, date } = req.body;
+
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    if (name !== undefined) holiday.name = name;
+    if (date !== undefined) holiday.date = startOfDay(date);
+
+    await holiday.save();
+    res.json(holiday);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete holiday
+router.delete('/holidays/:id', authorize('leave:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { authorize } = require('../middleware/auth');
+const { getScopedEmployeeIds, canReviewEmployee } = require('../utils/approvals');
+const { listLoginLocks, clearLoginLock } = require('../utils/logins');
+const { z, validate, objectId, booleanString, integerString, idParams, dateRangeQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+const loginHistoryQuery = dateRangeQuery({
+  user: objectId.optional(),
+  success: booleanString.optional(),
+  ip: z.string().optional(),
+  limit: integerString.optional()
+});
+
+const ipParams = z.object({ ip: z.string().min(1) });
+
+const parseLimit = (limit) => Math.min(parseInt(limit, 10) || 100, 1000);
+
+// Build a login history query from the list filters, limited to the users the caller may see
+const buildLoginQuery = async ({ user, success, ip, startDate, endDate }, reviewer) => {
+  const query = {};
+
+  if (user) {
+    query.user = user;
+  }
+
+  if (success === 'true' || success === 'false') {
+    query.success = success === 'true';
+  }
+
+  if (ip) {
+    query.ip = ip;
+  }
+
+  if (startDate && endDate) {
+    query.createdAt = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  // A user filter outside the reviewer's scope matches nothing
+  const scopedIds = await getScopedEmployeeIds(reviewer);
+  if (scopedIds) {
+    query.user = { $in: user ? scopedIds.filter(id => String(id) === String(user)) : scopedIds };
+  }
+
+  return query;
+};
+
+// Limit a query to the users the reviewer may see (no change for organization-wide roles)
+const scopeUsers = async (reviewer, query, field) => {
+  const scopedIds = await getScopedEmployeeIds(reviewer);
+  return scopedIds ? { ...query, [field]: { $in: scopedIds } } : query;
+};
+
+// Locks the reviewer may see: accounts of their users, and IPs those users signed in from
+const findVisibleLocks = async (reviewer) => {
+  const locks = await listLoginLocks();
+  if (!locks.length) return [];
+
+  const emails = locks.filter(lock => lock.type === 'account').map(lock => lock.value);
+  const ips = locks.filter(lock => lock.type === 'ip').map(lock => lock.value);
+
+  const users = await User.find(await scopeUsers(reviewer, { email: { $in: emails } }, '_id')).select('name email');
+  const userByEmail = new Map(users.map(user => [user.email, user]));
+  const knownIps = new Set(await LoginAttempt.distinct('ip', await scopeUsers(reviewer, { ip: { $in: ips } }, 'user')));
+
+  return locks
+    .filter(lock => (lock.type === 'account' ? userByEmail.has(lock.value) : knownIps.has(lock.value)))
+    .map(lock => {
+      const user = userByEmail.get(lock.value);
+      return lock.type === 'account' ? { ...lock, user: { _id: user._id, name: user.name } } : lock;
+    });
+};
+
+// ✅ Login history with filters (user, success, ip, date range), newest first
+router.get('/logins', authorize('logins:manage'), validate({ query: loginHistoryQuery }), async (req, res, next) => {
+  try {
+    const attempts = await LoginAttempt.find(await buildLoginQuery(req.query, req.user))
+      .populate('user', 'name email employeeId')
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit));
+
+    res.json(attempts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Login history of one employee
+router.get('/employees/:id/logins', authorize('logins:manage'), validate({
+  params: idParams,
+  query: z.object({ limit: integerString.optional() })
+}), async (req, res, next) => {
+  try {
+    const employee = await User.findById(req.params.id).select('_id');
+    if (!employee || !(await canReviewEmployee(req.user, employee._id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const attempts = await LoginAttempt.find({ user: employee._id })
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit));
+
+    res.json(attempts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Accounts and IPs currently locked out after repeated failed logins
+router.get('/login-locks', authorize('logins:manage'), async (req, res, next) => {
+  try {
+    res.json(await findVisibleLocks(req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Unlock an employee's account
+router.delete('/login-locks/accounts/:id', authorize('logins:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const employee = await User.findById(req.params.id).select('email');
+    if (!employee || !(await canReviewEmployee(req.user, employee._id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    await clearLoginLock('account', employee.email);
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Unlock an IP address the reviewer's users have signed in from
+router.delete('/login-locks/ips/:ip', authorize('logins:manage'), validate({ params: ipParams }), async (req, res, next) => {
+  try {
+    if (!(await LoginAttempt.exists(await scopeUsers(req.user, { ip: req.params.ip }, 'user')))) {
+      return res.status(404).json({ message: 'IP address not found' });
+    }
+
+    await clearLoginLock('ip', req.params.ip);
+    res.json({ message: 'IP address unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+const { z, validate, booleanString, integerString, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+const EMAIL_DIGEST_OPTIONS = ['off', 'immediate', 'daily'];
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const listNotificationsQuery = z.object({
+  unread: booleanString.optional(),
+  limit: integerString.optional()
+});
+
+const preferencesBody = z.object({
+  emailDigest: z.enum(EMAIL_DIGEST_OPTIONS).optional(),
+  mutedTypes: z.array(z.enum(NOTIFICATION_TYPES)).optional()
+});
+
+// Get user's notifications (newest first)
+router.get('/', auth, validate({ query: listNotificationsQuery }), async (req, res, next) => {
+  try {
+    const { unread } = req.query;
+    const query = { user: req.user._id };
+
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+
+    res.json(notifications);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the number of unread notifications
+router.get('/unread-count', auth, async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', auth, async (req, res, next) => {
+  try {
+    res.json(req.user.notificationPreferences);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update notification preferences
+router.put('/preferences', auth, validate({ body: preferencesBody }), async (req, res, next) => {
+  try {
+    const { emailDigest, mutedTypes } = req.body;
+
+    const update = {};
+    if (emailDigest !== undefined) update['notificationPreferences.emailDigest'] = emailDigest;
+    if (mutedTypes !== undefined) update['notificationPreferences.mutedTypes'] = mutedTypes;
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true });
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a notification as unread
+router.put('/:id/unread', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $unset: { readAt: 1 } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const { authorize } = require('../middleware/auth');
+const { organizationSettingsSchema, applyOrganizationSettings } = require('../utils/organizations');
+const { z, validate, requiredString } = require('../utils/validation');
+
+const router = express.Router();
+
+const organizationBody = z.object({
+  name: requiredString.optional(),
+  settings: organizationSettingsSchema.optional()
+});
+
+// ✅ Get the signed-in user's organization and its settings
+router.get('/organization', authorize('organization:manage'), async (req, res, next) => {
+  try {
+    res.json(await Organization.findById(req.organization._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update the organization's name and settings (allowed origins, week start, timezone)
+router.put('/organization', authorize('organization:manage'), validate({ body: organizationBody }), async (req, res, next) => {
+  try {
+    const { name, settings } = req.body;
+
+    const organization = await Organization.findById(req.organization._id);
+    if (name !== undefined) organization.name = name;
+
+    applyOrganizationSettings(organization, settings);
+    await organization.save();
+
+    res.json(organization);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
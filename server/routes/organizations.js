@@ -0,0 +1,140 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { superAdminAuth } = require('../middleware/auth');
+const { organizationSettingsSchema, applyOrganizationSettings } = require('../utils/organizations');
+const { clearAllowedOrigins } = require('../utils/tenancy');
+const { ensureDefaultRoles } = require('../utils/permissions');
+const { z, validate, requiredString, requiredSecret, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Request schemas
+const createOrganizationBody = z.object({
+  name: requiredString,
+  slug: z.string().refine(
+    slug => SLUG_PATTERN.test(slug.trim().toLowerCase()),
+    'May only contain lowercase letters, numbers and -'
+  ),
+  settings: organizationSettingsSchema.optional(),
+  admin: z.object({
+    name: requiredString,
+    email: z.string().trim().email('Must be a valid email'),
+    password: requiredSecret
+  })
+});
+
+const updateOrganizationBody = z.object({
+  name: requiredString.optional(),
+  settings: organizationSettingsSchema.optional(),
+  isActive: z.boolean().optional()
+});
+
+// ✅ Get all organizations with their user counts
+router.get('/organizations', superAdminAuth, async (req, res, next) => {
+  try {
+    const organizations = await Organization.find().sort({ name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $match: { organization: { $in: organizations.map(o => o._id) } } },
+      { $group: { _id: '$organization', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.json(organizations.map(organization => ({
+      ...organization,
+      userCount: countById.get(String(organization._id)) || 0
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Provision an organization together with its first admin
+router.post('/organizations', superAdminAuth, validate({ body: createOrganizationBody }), async (req, res, next) => {
+  try {
+    const { name, slug, settings, admin } = req.body;
+
+    const normalizedSlug = String(slug).trim().toLowerCase();
+
+    if (await Organization.exists({ slug: normalizedSlug })) {
+      return res.status(400).json({ message: 'Organization already exists with this slug' });
+    }
+
+    if (await User.exists({ email: String(admin.email).toLowerCase() })) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const organization = new Organization({ name, slug: normalizedSlug });
+    applyOrganizationSettings(organization, settings);
+    await organization.save();
+    await ensureDefaultRoles(organization._id);
+
+    const adminUser = new User({
+      name: admin.name,
+      email: admin.email,
+      password: admin.password,
+      role: 'admin',
+      organization: organization._id
+    });
+
+    try {
+      await adminUser.save();
+    } catch (error) {
+      await Organization.deleteOne({ _id: organization._id });
+      throw error;
+    }
+
+    const adminData = adminUser.toObject();
+    delete adminData.password;
+
+    res.status(201).json({ organization, admin: adminData });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Get one organization
+router.get('/organizations/:id', superAdminAuth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update an organization's name, settings or status. Deactivated organizations cannot sign in.
+router.put('/organizations/:id', superAdminAuth, validate({ params: idParams, body: updateOrganizationBody }), async (req, res, next) => {
+  try {
+    const { name, settings, isActive } = req.body;
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    if (name !== undefined) organization.name = name;
+    if (isActive !== undefined) organization.isActive = isActive;
+    applyOrganizationSettings(organization, settings);
+
+    await organization.save();
+
+    // Inactive organizations' origins stop being allowed
+    if (isActive !== undefined) {
+      clearAllowedOrigins();
+    }
+
+    res.json(organization);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Timesheet = require('../models/Timesheet');
+const { authorize } = require('../middleware/auth');
+const { getProjectHours } = require('../utils/projectHours');
+const { z, validate, objectId, booleanString, requiredString, idOrAll, idParams, dateRangeQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+// Request schemas
+const clientBody = z.object({
+  name: requiredString,
+  contactName: z.string().optional(),
+  contactEmail: z.union([z.string().trim().email('Must be a valid email'), z.literal('')]).optional()
+});
+
+const updateClientBody = clientBody.partial().extend({ isActive: z.boolean().optional() });
+
+const projectBody = z.object({
+  name: requiredString,
+  code: requiredString,
+  client: z.union([objectId, z.literal('')]).nullable().optional(),
+  description: z.string().optional(),
+  billable: z.boolean().optional(),
+  members: z.array(objectId).optional()
+});
+
+const updateProjectBody = projectBody.omit({ members: true }).partial().extend({ isActive: z.boolean().optional() });
+
+const listProjectsQuery = z.object({
+  client: idOrAll.optional(),
+  member: idOrAll.optional(),
+  active: booleanString.optional()
+});
+
+const membersBody = z.object({ members: z.array(objectId) });
+
+// Whether every member id is an active user of the organization, whatever their role
+const allMembersActive = async (members) => {
+  const ids = [...new Set(members.map(String))];
+  return (await User.countDocuments({ _id: { $in: ids }, isActive: true })) === ids.length;
+};
+
+// ✅ Get all clients
+router.get('/clients', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    const clients = await Client.find().sort({ name: 1 });
+    res.json(clients);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create client
+router.post('/clients', authorize('projects:manage'), validate({ body: clientBody }), async (req, res, next) => {
+  try {
+    const { name, contactName, contactEmail } = req.body;
+
+    const existingClient = await Client.findOne({ name });
+    if (existingClient) {
+      return res.status(400).json({ message: 'Client already exists with this name' });
+    }
+
+    const client = new Client({ name, contactName, contactEmail });
+    await client.save();
+
+    res.status(201).json(client);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update client
+router.put('/clients/:id', authorize('projects:manage'), validate({ params: idParams, body: updateClientBody }), async (req, res, next) => {
+  try {
+    const { name, contactName, contactEmail, isActive } = req.body;
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    if (name !== undefined) client.name = name;
+    if (contactName !== undefined) client.contactName = contactName;
+    if (contactEmail !== undefined) client.contactEmail = contactEmail;
+    if (isActive !== undefined) client.isActive = isActive;
+
+    await client.save();
+    res.json(client);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete client (only when no projects reference it)
+router.delete('/clients/:id', authorize('projects:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const projectCount = await Project.countDocuments({ client: client._id });
+    if (projectCount > 0) {
+      return res.status(400).json({ message: 'Client still has projects. Reassign or delete them first.' });
+    }
+
+    await Client.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Client deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Get all projects
+router.get('/projects', authorize('projects:manage'), validate({ query: listProjectsQuery }), async (req, res, next) => {
+  try {
+    const { client, member, active } = req.query;
+    const query = {};
+
+    if (client && client !== 'all') {
+      query.client = client;
+    }
+
+    if (member && member !== 'all') {
+      query.members = member;
+    }
+
+    if (active === 'true' || active === 'false') {
+      query.isActive = active === 'true';
+    }
+
+    const projects = await Project.find(query)
+      .populate('client', 'name')
+      .populate('members', 'name email employeeId department')
+      .sort({ name: 1 });
+
+    res.json(projects);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create project
+router.post('/projects', authorize('projects:manage'), validate({ body: projectBody }), async (req, res, next) => {
+  try {
+    const { name, code, client, description, billable, members } = req.body;
+
+    const existingProject = await Project.findOne({ code: code.toUpperCase() });
+    if (existingProject) {
+      return res.status(400).json({ message: 'Project already exists with this code' });
+    }
+
+    if (client && !(await Client.exists({ _id: client }))) {
+      return res.status(400).json({ message: 'Client not found' });
+    }
+
+    if (members && !(await allMembersActive(members))) {
+      return res.status(400).json({ message: 'One or more employees not found' });
+    }
+
+    const project = new Project({
+      name,
+      code,
+      client,
+      description,
+      billable,
+      members: [...new Set((members || []).map(String))]
+    });
+
+    await project.save();
+    res.status(201).json(project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update project
+router.put('/projects/:id', authorize('projects:manage'), validate({ params: idParams, body: updateProjectBody }), async (req, res, next) => {
+  try {
+    const { name, code, client, description, billable, isActive } = req.body;
+
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (client && !(await Client.exists({ _id: client }))) {
+      return res.status(400).json({ message: 'Client not found' });
+    }
+
+    if (name !== undefined) project.name = name;
+    if (code !== undefined) project.code = code;
+    if (client !== undefined) project.client = client || undefined;
+    if (description !== undefined) project.description = description;
+    if (billable !== undefined) project.billable = billable;
+    if (isActive !== undefined) project.isActive = isActive;
+
+    await project.save();
+    res.json(project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete project (archive instead when time has been logged against it)
+router.delete('/projects/:id', authorize('projects:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const used = await Timesheet.exists({ 'timeBlocks.project': project._id });
+    if (used) {
+      return res.status(400).json({ message: 'Project has logged time. Deactivate it instead.' });
+    }
+
+    await Project.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Replace the people assigned to a project
+router.put('/projects/:id/members', authorize('projects:manage'), validate({ params: idParams, body: membersBody }), async (req, res, next) => {
+  try {
+    const { members } = req.body;
+
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!(await allMembersActive(members))) {
+      return res.status(400).json({ message: 'One or more employees not found' });
+    }
+
+    project.members = [...new Set(members.map(String))];
+    await project.save();
+
+    const populatedProject = await Project.findById(project._id)
+      .populate('client', 'name')
+      .populate('members', 'name email employeeId department');
+
+    res.json(populatedProject);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Hours logged per project (optionally within a date range)
+router.get('/projects/hours', authorize('projects:manage'), validate({ query: dateRangeQuery() }), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    res.json(await getProjectHours(startDate, endDate));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const express = require('express');
+const Report = require('../models/Report');
+const ReportSchedule = require('../models/ReportSchedule');
+const { authorize } = require('../middleware/auth');
+const { isValidCron, nextCronTime } = require('../utils/cron');
+const { EXPORT_FORMATS } = require('../utils/exporter');
+const {
+  REPORT_TYPES,
+  REPORT_RANGES,
+  getReportTransports,
+  validateReportSettings,
+  getReportFilePath,
+  deleteReports,
+  runSchedule
+} = require('../utils/reports');
+const { z, validate, integerString, requiredString, statusFilter, idOrAll, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+const MAX_RETENTION = 365;
+
+// Request schemas. Which formats and filters a report type accepts is checked by
+// validateReportSettings once the update is merged with the existing schedule.
+const scheduleBody = z.object({
+  name: requiredString,
+  reportType: z.enum(Object.keys(REPORT_TYPES)),
+  cadence: z.string().refine(
+    isValidCron,
+    'Must be a cron expression like "0 7 * * 1" or one of @daily, @weekly, @monthly, @month-end'
+  ),
+  filters: z.record(z.unknown()).optional(),
+  range: z.enum(REPORT_RANGES).optional(),
+  format: z.enum(Object.keys(EXPORT_FORMATS)).optional(),
+  // Transports can be registered at runtime, so they are looked up on each request
+  transport: z.string().refine(
+    transport => getReportTransports().includes(transport),
+    () => ({ message: `Must be one of: ${getReportTransports().join(', ')}` })
+  ).optional(),
+  subscribers: z.array(z.string().trim().toLowerCase().email('Must be a valid email')).optional(),
+  retention: z.number().int().min(1).max(MAX_RETENTION).optional(),
+  isActive: z.boolean().optional()
+});
+
+const reportsQuery = z.object({
+  schedule: idOrAll.optional(),
+  status: statusFilter('generating', 'ready', 'failed'),
+  limit: integerString.optional()
+});
+
+// Check a schedule's report settings, returning an error message or null. `existing` fills in
+// the fields an update leaves out.
+const validateSchedule = (body, existing = {}) => validateReportSettings({
+  reportType: body.reportType ?? existing.reportType,
+  format: body.format ?? existing.format,
+  range: body.range ?? existing.range,
+  filters: body.filters ?? existing.filters ?? {}
+});
+
+const SCHEDULE_FIELDS = ['name', 'reportType', 'filters', 'range', 'format', 'cadence', 'transport', 'subscribers', 'retention', 'isActive'];
+
+// ✅ Report types, formats, ranges and transports a schedule can use
+router.get('/reports/options', authorize('reports:manage'), async (req, res) => {
+  res.json({
+    reportTypes: Object.keys(REPORT_TYPES),
+    formats: Object.keys(EXPORT_FORMATS),
+    ranges: REPORT_RANGES,
+    transports: getReportTransports()
+  });
+});
+
+// ✅ Get report schedules
+router.get('/report-schedules', authorize('reports:manage'), async (req, res, next) => {
+  try {
+    const schedules = await ReportSchedule.find()
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+
+    res.json(schedules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create report schedule
+router.post('/report-schedules', authorize('reports:manage'), validate({ body: scheduleBody }), async (req, res, next) => {
+  try {
+    const validationError = validateSchedule(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const schedule = new ReportSchedule({ createdBy: req.user._id });
+    SCHEDULE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { schedule[field] = req.body[field]; });
+    schedule.nextRunAt = nextCronTime(schedule.cadence);
+
+    await schedule.save();
+    res.status(201).json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update report schedule
+router.put('/report-schedules/:id', authorize('reports:manage'), validate({ params: idParams, body: scheduleBody.partial() }), async (req, res, next) => {
+  try {
+    const schedule = await ReportSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Report schedule not found' });
+    }
+
+    const validationError = validateSchedule(req.body, schedule);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    SCHEDULE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { schedule[field] = req.body[field]; });
+
+    if (req.body.cadence !== undefined || req.body.isActive) {
+      schedule.nextRunAt = nextCronTime(schedule.cadence);
+    }
+
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete report schedule and its archived reports
+router.delete('/report-schedules/:id', authorize('reports:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const schedule = await ReportSchedule.findByIdAndDelete(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Report schedule not found' });
+    }
+
+    await deleteReports(await Report.find({ schedule: schedule._id }).select('+storagePath'));
+    res.json({ message: 'Report schedule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Run a schedule now, outside its cadence
+router.post('/report-schedules/:id/run', authorize('reports:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const schedule = await ReportSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Report schedule not found' });
+    }
+
+    const report = await runSchedule(schedule, { generatedBy: req.user._id });
+    res.status(201).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Report archive, newest first
+router.get('/reports', authorize('reports:manage'), validate({ query: reportsQuery }), async (req, res, next) => {
+  try {
+    const { schedule, status } = req.query;
+    const query = {};
+
+    if (schedule && schedule !== 'all') {
+      query.schedule = schedule;
+    }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const reports = await Report.find(query)
+      .populate('generatedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 500));
+
+    res.json(reports);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Download an archived report
+router.get('/reports/:id/download', authorize('reports:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const report = await Report.findById(req.params.id).select('+storagePath');
+    if (!report || report.status !== 'ready') {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const filePath = getReportFilePath(report);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Report file is no longer available' });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[report.format].contentType);
+    res.attachment(report.filename);
+    fs.createReadStream(filePath).pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete an archived report
+router.delete('/reports/:id', authorize('reports:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const report = await Report.findById(req.params.id).select('+storagePath');
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    await deleteReports([report]);
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
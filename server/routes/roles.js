@@ -0,0 +1,156 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { USER_FIELDS, snapshot, recordAudit } = require('../utils/audit');
+const { emitEvent, sanitizeUser } = require('../utils/webhooks');
+const { z, validate, requiredString, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+const ROLE_SCOPES = Role.schema.path('scope').enumValues;
+
+// Request schemas
+const roleBody = z.object({
+  name: z.string().refine(
+    name => /^[a-z][a-z0-9_-]*$/.test(name.trim().toLowerCase()),
+    'Must start with a letter and may only contain letters, numbers, _ and -'
+  ),
+  description: z.string().optional(),
+  permissions: z.array(z.enum(Object.keys(PERMISSIONS))).optional(),
+  scope: z.enum(ROLE_SCOPES).optional()
+});
+
+const updateRoleBody = roleBody.omit({ name: true });
+
+const assignRoleBody = z.object({ role: requiredString });
+
+// ✅ Every permission a role can grant
+router.get('/permissions', authorize('roles:manage'), async (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// ✅ Get all roles with the number of users holding each
+router.get('/roles', authorize('roles:manage'), async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countByRole = new Map(counts.map(c => [c._id, c.count]));
+
+    res.json(roles.map(role => ({ ...role, userCount: countByRole.get(role.name) || 0 })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create role
+router.post('/roles', authorize('roles:manage'), validate({ body: roleBody }), async (req, res, next) => {
+  try {
+    const { name, description, permissions = [], scope } = req.body;
+
+    const existingRole = await Role.findOne({ name: String(name).trim().toLowerCase() });
+    if (existingRole) {
+      return res.status(400).json({ message: 'Role already exists with this name' });
+    }
+
+    const role = new Role({ name, description, permissions: [...new Set(permissions)], scope });
+    await role.save();
+
+    res.status(201).json(role);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update role. Built-in roles keep their name, and admin always keeps every permission.
+router.put('/roles/:id', authorize('roles:manage'), validate({ params: idParams, body: updateRoleBody }), async (req, res, next) => {
+  try {
+    const { description, permissions, scope } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.name === 'admin' && (permissions !== undefined || scope !== undefined)) {
+      return res.status(400).json({ message: 'The admin role always has every permission' });
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    if (scope !== undefined) role.scope = scope;
+
+    await role.save();
+    res.json(role);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete role (custom roles only, and only when nobody holds it)
+router.delete('/roles/:id', authorize('roles:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({ message: 'Role is still assigned to users. Give them another role first.' });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Assign a role to a user
+router.put('/users/:id/role', authorize('roles:manage'), validate({ params: idParams, body: assignRoleBody }), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await Role.exists({ name: role }))) {
+      return res.status(400).json({ message: 'Role not found' });
+    }
+
+    // Stops the last person who can manage roles from locking everyone out
+    if (String(user._id) === String(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const before = snapshot(user, USER_FIELDS);
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      subject: user._id,
+      before,
+      after: snapshot(user, USER_FIELDS)
+    });
+
+    await emitEvent('employee.updated', sanitizeUser(user));
+
+    res.json(sanitizeUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
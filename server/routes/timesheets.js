@@ -1,15 +1,249 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Timesheet = require('../models/Timesheet');
+const Project = require('../models/Project');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const Reminder = require('../models/Reminder');
 const { auth } = require('../middleware/auth');
-const { Parser } = require('json2csv');
-const PDFDocument = require('pdfkit');
+const { normalizeTimeBlocks } = require('../utils/timeBlocks');
+const { findPeriod, findOrCreatePeriod, isPeriodLocked } = require('../utils/periods');
+const { getInitialStage } = require('../utils/approvals');
+const { TIMESHEET_FIELDS, PERIOD_FIELDS, snapshot, recordAudit } = require('../utils/audit');
+const { notifySubmission } = require('../utils/notifications');
+const { emitEvent } = require('../utils/webhooks');
+const { TIMESHEET_LIST_OPTIONS, parseListOptions, isSelected, findWithListOptions } = require('../utils/listing');
+const { startOfDay, getDayOff, getDayOffRowsFor } = require('../utils/calendar');
+const { parseExportRequest, getExportDaysOff, streamTimesheetExport } = require('../utils/exporter');
+const { getMonthRange, currentMonth, sendStatementPdf } = require('../utils/statement');
+const {
+  z,
+  validate,
+  objectId,
+  dateString,
+  monthString,
+  booleanString,
+  requiredString,
+  statusFilter,
+  idParams,
+  listQuery,
+  dateRangeQuery
+} = require('../utils/validation');
 
 const router = express.Router();
 
+// Request schemas. Time blocks are only checked for shape here; normalizeTimeBlocks
+// checks their times, overlaps and the daily limit.
+const timeBlocksSchema = z.array(z.object({
+  startTime: z.string().nullable().optional(),
+  endTime: z.string().nullable().optional(),
+  duration: z.union([z.number(), z.string()]).nullable().optional(),
+  description: z.string().optional(),
+  project: z.union([objectId, z.literal('')]).nullable().optional()
+}));
+
+const timesheetBody = z.object({
+  plannedWork: requiredString,
+  actualWork: requiredString,
+  remarks: z.string().optional(),
+  timeBlocks: timeBlocksSchema.optional()
+});
+
+const createTimesheetBody = timesheetBody.extend({
+  date: dateString,
+  workedOnHoliday: z.boolean().optional()
+});
+
+const TIMESHEET_STATUSES = ['pending', 'accepted', 'rejected'];
+
+const listTimesheetsQuery = dateRangeQuery({
+  ...listQuery,
+  status: statusFilter(...TIMESHEET_STATUSES),
+  includeLeave: booleanString.optional()
+});
+
+const exportQuery = dateRangeQuery({
+  format: z.string().optional(),
+  columns: z.string().optional(),
+  status: statusFilter(...TIMESHEET_STATUSES),
+  includeLeave: booleanString.optional()
+});
+
+// Return the first project referenced by the blocks that the user may not log time against
+const findUnassignedProject = async (blocks, userId) => {
+  const projectIds = [...new Set(blocks.filter(b => b.project).map(b => String(b.project)))];
+  if (!projectIds.length) return null;
+
+  const invalidId = projectIds.find(id => !mongoose.isValidObjectId(id));
+  if (invalidId) return invalidId;
+
+  const assigned = await Project.find({ _id: { $in: projectIds }, members: userId, isActive: true })
+    .distinct('_id');
+  const assignedIds = assigned.map(String);
+
+  return projectIds.find(id => !assignedIds.includes(id)) || null;
+};
+
+// Get the active projects the user is assigned to
+router.get('/projects', auth, async (req, res, next) => {
+  try {
+    const projects = await Project.find({ members: req.user._id, isActive: true })
+      .select('name code client billable')
+      .populate('client', 'name')
+      .sort({ name: 1 });
+
+    res.json(projects);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's open reminders about missing timesheets
+router.get('/reminders', auth, async (req, res, next) => {
+  try {
+    const reminders = await Reminder.find({
+      employee: req.user._id,
+      resolvedAt: null,
+      dismissedAt: null
+    }).sort({ date: -1 });
+
+    res.json(reminders);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dismiss a reminder
+router.put('/reminders/:id/dismiss', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const reminder = await Reminder.findOneAndUpdate(
+      { _id: req.params.id, employee: req.user._id },
+      { dismissedAt: new Date() },
+      { new: true }
+    );
+
+    if (!reminder) {
+      return res.status(404).json({ message: 'Reminder not found' });
+    }
+
+    res.json(reminder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's weekly periods (with optional status filter)
+router.get('/periods', auth, validate({ query: z.object({ status: statusFilter('open', 'submitted', 'accepted', 'rejected') }) }), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const query = { employee: req.user._id };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const periods = await TimesheetPeriod.find(query)
+      .sort({ startDate: -1 })
+      .populate('reviewedBy', 'name');
+
+    res.json(periods);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the period for the week containing a date, with its days. Read-only: a week without
+// a period yet is returned as an open one, which is saved when its first day is added.
+router.get('/periods/current', auth, validate({ query: z.object({ date: dateString.optional() }) }), async (req, res, next) => {
+  try {
+    const period = await findPeriod(req.user, req.query.date || new Date());
+    const days = period._id ? await Timesheet.find({ period: period._id }).sort({ date: 1 }) : [];
+
+    res.json({ period, days });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single period with its days
+router.get('/periods/:id', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const period = await TimesheetPeriod.findOne({
+      _id: req.params.id,
+      employee: req.user._id
+    }).populate('reviewedBy', 'name');
+
+    if (!period) {
+      return res.status(404).json({ message: 'Period not found' });
+    }
+
+    const days = await Timesheet.find({ period: period._id }).sort({ date: 1 });
+    res.json({ period, days });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit a week for review, locking its days
+router.post('/periods/:id/submit', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const period = await TimesheetPeriod.findOne({
+      _id: req.params.id,
+      employee: req.user._id
+    });
+
+    if (!period) {
+      return res.status(404).json({ message: 'Period not found' });
+    }
+
+    if (period.status !== 'open' && period.status !== 'rejected') {
+      return res.status(400).json({ message: 'Only open or rejected periods can be submitted' });
+    }
+
+    const dayCount = await Timesheet.countDocuments({ period: period._id });
+    if (!dayCount) {
+      return res.status(400).json({ message: 'Add at least one timesheet before submitting the week' });
+    }
+
+    const before = snapshot(period, PERIOD_FIELDS);
+    const resubmitted = period.status === 'rejected';
+
+    // Every day restarts the approval chain with the resubmitted week
+    const approvalStage = await getInitialStage(req.user);
+    await Timesheet.updateMany({ period: period._id, status: 'rejected' }, { status: 'pending' });
+    await Timesheet.updateMany({ period: period._id }, { locked: true, approvalStage });
+
+    period.status = 'submitted';
+    period.approvalStage = approvalStage;
+    period.submittedAt = new Date();
+    await period.save();
+
+    await recordAudit(req, {
+      action: 'submit',
+      entityType: 'TimesheetPeriod',
+      entityId: period._id,
+      subject: period.employee,
+      before,
+      after: snapshot(period, PERIOD_FIELDS)
+    });
+
+    await notifySubmission({
+      type: resubmitted ? 'timesheet_resubmitted' : 'period_submitted',
+      employee: req.user,
+      doc: period,
+      entityType: 'TimesheetPeriod',
+      label: 'Weekly timesheet'
+    });
+
+    res.json(period);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get user's timesheets (with optional filters)
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate({ query: listTimesheetsQuery }), async (req, res, next) => {
   try {
-    const { status, startDate, endDate } = req.query;
+    const { status, startDate, endDate, includeLeave } = req.query;
     const query = { employee: req.user._id };
 
     if (status && status !== 'all') {
@@ -23,21 +257,40 @@ router.get('/', auth, async (req, res) => {
       };
     }
 
-    const timesheets = await Timesheet.find(query)
-      .sort({ date: -1 })
-      .populate('reviewedBy', 'name');
+    const options = parseListOptions(req.query, TIMESHEET_LIST_OPTIONS);
+    const result = await findWithListOptions(Timesheet, query, options, q => {
+      if (isSelected(options.select, 'reviewedBy')) q = q.populate('reviewedBy', 'name');
+      if (isSelected(options.select, 'timeBlocks')) q = q.populate('timeBlocks.project', 'name code');
+      return q;
+    });
+
+    // Opt-in so existing clients keep receiving a plain array
+    if (includeLeave === 'true') {
+      const timesheets = options.paginated ? result.data : result;
+      const daysOff = await getDayOffRowsFor(req.user._id, timesheets, { startDate, endDate, employeeName: req.user.name });
+      return res.json(options.paginated ? { ...result, timesheets, daysOff } : { timesheets, daysOff });
+    }
 
-    res.json(timesheets);
+    res.json(result);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // Create new timesheet
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate({ body: createTimesheetBody }), async (req, res, next) => {
   try {
-    const { date, plannedWork, actualWork, remarks } = req.body;
+    const { date, plannedWork, actualWork, remarks, timeBlocks, workedOnHoliday } = req.body;
+
+    const blockResult = normalizeTimeBlocks(timeBlocks);
+    if (blockResult.error) {
+      return res.status(400).json({ message: blockResult.error });
+    }
+
+    const unassignedProject = await findUnassignedProject(blockResult.blocks, req.user._id);
+    if (unassignedProject) {
+      return res.status(400).json({ message: `You are not assigned to project ${unassignedProject}` });
+    }
 
     // Check if timesheet already exists for the given date
     const existing = await Timesheet.findOne({
@@ -49,27 +302,71 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ message: 'Timesheet already exists for this date' });
     }
 
+    // Approved leave blocks the day; holidays need an explicit confirmation
+    const { holiday, leave } = await getDayOff(req.user._id, date);
+    if (leave) {
+      return res.status(400).json({ message: 'You are on approved leave on this date' });
+    }
+
+    if (holiday && !workedOnHoliday) {
+      return res.status(400).json({
+        message: `${holiday.name} is a company holiday. Set workedOnHoliday to log time anyway.`
+      });
+    }
+
+    const period = await findOrCreatePeriod(req.user, date);
+    if (isPeriodLocked(period)) {
+      return res.status(400).json({ message: 'This week has already been submitted' });
+    }
+
     const timesheet = new Timesheet({
       employee: req.user._id,
       employeeName: req.user.name,
       date: new Date(date),
+      period: period._id,
+      approvalStage: await getInitialStage(req.user),
       plannedWork,
       actualWork,
-      remarks
+      remarks,
+      timeBlocks: blockResult.blocks
     });
 
     await timesheet.save();
+
+    await Reminder.updateMany(
+      { employee: req.user._id, date: startOfDay(timesheet.date), resolvedAt: null },
+      { resolvedAt: new Date() }
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      subject: timesheet.employee,
+      before: {},
+      after: snapshot(timesheet, TIMESHEET_FIELDS)
+    });
+
+    await emitEvent('timesheet.created', timesheet);
+
+    await notifySubmission({
+      type: 'timesheet_submitted',
+      employee: req.user,
+      doc: timesheet,
+      entityType: 'Timesheet',
+      label: 'Timesheet'
+    });
+
     res.status(201).json(timesheet);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // Update timesheet (allowed for 'pending' or 'rejected' statuses)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, validate({ params: idParams, body: timesheetBody }), async (req, res, next) => {
   try {
-    const { plannedWork, actualWork, remarks } = req.body;
+    const { plannedWork, actualWork, remarks, timeBlocks } = req.body;
 
     const timesheet = await Timesheet.findOne({
       _id: req.params.id,
@@ -80,24 +377,71 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Timesheet not found' });
     }
 
+    if (timesheet.locked) {
+      return res.status(400).json({ message: 'Timesheet is locked because its week has been submitted' });
+    }
+
     if (timesheet.status !== 'pending' && timesheet.status !== 'rejected') {
       return res.status(400).json({ message: 'Only pending or rejected timesheets can be edited' });
     }
 
+    const before = snapshot(timesheet, TIMESHEET_FIELDS);
+
     timesheet.plannedWork = plannedWork;
     timesheet.actualWork = actualWork;
     timesheet.remarks = remarks;
 
+    // Editing a rejected timesheet resubmits it to the start of the approval chain
+    const resubmitted = timesheet.status === 'rejected';
+    if (resubmitted) {
+      timesheet.status = 'pending';
+      timesheet.approvalStage = await getInitialStage(req.user);
+    }
+
+    if (timeBlocks !== undefined) {
+      const blockResult = normalizeTimeBlocks(timeBlocks);
+      if (blockResult.error) {
+        return res.status(400).json({ message: blockResult.error });
+      }
+
+      const unassignedProject = await findUnassignedProject(blockResult.blocks, req.user._id);
+      if (unassignedProject) {
+        return res.status(400).json({ message: `You are not assigned to project ${unassignedProject}` });
+      }
+      timesheet.timeBlocks = blockResult.blocks;
+    }
+
     await timesheet.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      subject: timesheet.employee,
+      before,
+      after: snapshot(timesheet, TIMESHEET_FIELDS)
+    });
+
+    await emitEvent('timesheet.updated', timesheet);
+
+    if (resubmitted) {
+      await notifySubmission({
+        type: 'timesheet_resubmitted',
+        employee: req.user,
+        doc: timesheet,
+        entityType: 'Timesheet',
+        label: 'Timesheet'
+      });
+    }
+
     res.json(timesheet);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // Delete timesheet (only if still pending)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, validate({ params: idParams }), async (req, res, next) => {
   try {
     const timesheet = await Timesheet.findOne({
       _id: req.params.id,
@@ -108,110 +452,106 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Timesheet not found' });
     }
 
+    if (timesheet.locked) {
+      return res.status(400).json({ message: 'Timesheet is locked because its week has been submitted' });
+    }
+
     if (timesheet.status !== 'pending') {
       return res.status(400).json({ message: 'Only pending timesheets can be deleted' });
     }
 
     await Timesheet.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      subject: timesheet.employee,
+      before: snapshot(timesheet, TIMESHEET_FIELDS),
+      after: {}
+    });
+
+    await emitEvent('timesheet.deleted', timesheet);
+
     res.json({ message: 'Timesheet deleted successfully' });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// Export timesheets as CSV
-router.get('/export/csv', auth, async (req, res) => {
+// Stream the user's timesheets, with their leave and holidays, in the requested format
+const exportOwnTimesheets = ({ format: defaultFormat, filename, title, ascending = false }) => async (req, res, next) => {
   try {
-    const timesheets = await Timesheet.find({ employee: req.user._id }).sort({ date: -1 });
+    const { format = defaultFormat, columns, status, startDate, endDate, includeLeave } = req.query;
 
-    const fields = ['employeeName', 'date', 'plannedWork', 'actualWork', 'remarks', 'status', 'adminComments'];
-    const opts = { fields };
+    const exportRequest = parseExportRequest({ format, columns });
+    if (exportRequest.error) {
+      return res.status(400).json({ message: exportRequest.error });
+    }
 
-    const parser = new Parser(opts);
-    const csv = parser.parse(timesheets);
+    const query = { employee: req.user._id };
 
-    res.header('Content-Type', 'text/csv');
-    res.attachment('timesheets.csv');
-    res.send(csv);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Failed to export CSV' });
-  }
-});
+    if (status && status !== 'all') {
+      query.status = status;
+    }
 
-// Export timesheets as PDF
-router.get('/export/pdf', auth, async (req, res) => {
-  try {
-    const timesheets = await Timesheet.find({ employee: req.user._id }).sort({ date: -1 });
-
-    const doc = new PDFDocument();
-    const filename = encodeURIComponent('timesheets.pdf');
-
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/pdf');
-
-    doc.pipe(res);
-    doc.fontSize(20).text('Timesheet Report', { align: 'center' });
-    doc.moveDown();
-
-    timesheets.forEach((ts, index) => {
-      doc
-        .fontSize(12)
-        .text(`Entry #${index + 1}`)
-        .text(`Employee: ${ts.employeeName}`)
-        .text(`Date: ${new Date(ts.date).toLocaleDateString()}`)
-        .text(`Planned Work: ${ts.plannedWork}`)
-        .text(`Actual Work: ${ts.actualWork}`)
-        .text(`Remarks: ${ts.remarks || 'None'}`)
-        .text(`Status: ${ts.status}`)
-        .moveDown();
+    if (startDate && endDate) {
+      query.date = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const daysOff = includeLeave === 'false' || query.status ? [] : await getExportDaysOff(query, {
+      employee: req.user._id,
+      startDate,
+      endDate,
+      employeeName: req.user.name
     });
 
-    doc.end();
+    await streamTimesheetExport(res, {
+      query,
+      ...exportRequest,
+      daysOff,
+      filename,
+      title: typeof title === 'function' ? title(req.user) : title,
+      ascending
+    });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Failed to generate PDF' });
+    next(error);
   }
-});
+};
 
-// Export timesheets as PDF for employee
-router.get('/download-pdf', auth, async (req, res) => {
+// Monthly statement PDF (?month=YYYY-MM, current month by default)
+router.get('/statement', auth, validate({ query: z.object({ month: monthString.optional() }) }), async (req, res, next) => {
   try {
-    const timesheets = await Timesheet.find({ employee: req.user.id }).sort({ date: 1 });
-
-    if (!timesheets.length) {
-      return res.status(404).json({ message: 'No timesheets found.' });
-    }
-
-    
-    const doc = new PDFDocument();
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename="timesheets.pdf"');
-    doc.pipe(res);
-
-    doc.fontSize(16).text(`Timesheets for ${req.user.name}`, { align: 'center' });
-    doc.moveDown();
-
-    timesheets.forEach((ts, index) => {
-      doc
-        .fontSize(12)
-        .text(`Date: ${new Date(ts.date).toDateString()}`)
-        .text(`Planned Work: ${ts.plannedWork}`)
-        .text(`Actual Work: ${ts.actualWork}`)
-        .text(`Remarks: ${ts.remarks || '-'}`)
-        .text(`Status: ${ts.status}`)
-        .text(`Admin Comments: ${ts.adminComments || '-'}`);
-      doc.moveDown();
-      if (index < timesheets.length - 1) doc.moveDown();
-    });
+    const { month = currentMonth() } = req.query;
 
-    doc.end();
-  } catch (err) {
-    console.error('PDF export error:', err);
-    res.status(500).json({ message: 'PDF generation failed' });
+    if (!getMonthRange(month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+
+    await sendStatementPdf(res, req.user, month);
+  } catch (error) {
+    next(error);
   }
 });
 
+// Export timesheets (?format=csv|xlsx|jsonl|pdf&columns=..., filtered like the listing)
+router.get('/export', auth, validate({ query: exportQuery }), exportOwnTimesheets({ format: 'csv', filename: 'timesheets', title: 'Timesheet Report' }));
+
+// Export timesheets as CSV
+router.get('/export/csv', auth, validate({ query: exportQuery }), exportOwnTimesheets({ format: 'csv', filename: 'timesheets', title: 'Timesheet Report' }));
+
+// Export timesheets as PDF
+router.get('/export/pdf', auth, validate({ query: exportQuery }), exportOwnTimesheets({ format: 'pdf', filename: 'timesheets', title: 'Timesheet Report' }));
+
+// Export timesheets as PDF for employee, oldest first
+router.get('/download-pdf', auth, validate({ query: exportQuery }), exportOwnTimesheets({
+  format: 'pdf',
+  filename: 'timesheets',
+  title: user => `Timesheets for ${user.name}`,
+  ascending: true
+}));
 
 module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authorize } = require('../middleware/auth');
+const { generateSecret } = require('../utils/tokens');
+const { WEBHOOK_EVENTS, checkWebhookTarget, redeliver } = require('../utils/webhooks');
+const { z, validate, integerString, statusFilter, idParams } = require('../utils/validation');
+
+const router = express.Router();
+
+// Request schemas
+const webhookUrl = z.string().regex(/^https?:\/\//i, 'URL must use http or https').url('URL is not valid');
+
+const webhookBody = z.object({
+  url: webhookUrl,
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, 'Select at least one event'),
+  description: z.string().optional()
+});
+
+const updateWebhookBody = webhookBody.partial().extend({ isActive: z.boolean().optional() });
+
+const deliveriesQuery = z.object({
+  status: statusFilter('pending', 'success', 'failed'),
+  event: statusFilter(...WEBHOOK_EVENTS),
+  limit: integerString.optional()
+});
+
+// ✅ Get the events a webhook can subscribe to
+router.get('/webhooks/events', authorize('webhooks:manage'), async (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+// ✅ Get all webhooks
+router.get('/webhooks', authorize('webhooks:manage'), async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(webhooks);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Create webhook (the signing secret is only returned here)
+router.post('/webhooks', authorize('webhooks:manage'), validate({ body: webhookBody }), async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const targetError = await checkWebhookTarget(url);
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    const secret = generateSecret(32);
+    const webhook = new Webhook({
+      url,
+      events,
+      description,
+      secret,
+      createdBy: req.user._id
+    });
+
+    await webhook.save();
+    res.status(201).json({ ...webhook.toObject(), secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Update webhook
+router.put('/webhooks/:id', authorize('webhooks:manage'), validate({ params: idParams, body: updateWebhookBody }), async (req, res, next) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const targetError = url !== undefined && await checkWebhookTarget(url);
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = isActive;
+
+    await webhook.save();
+    res.json(webhook);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Rotate a webhook's signing secret
+router.post('/webhooks/:id/rotate-secret', authorize('webhooks:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const secret = generateSecret(32);
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({ ...webhook.toObject(), secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delete webhook and its delivery log
+router.delete('/webhooks/:id', authorize('webhooks:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Delivery log for a webhook
+router.get('/webhooks/:id/deliveries', authorize('webhooks:manage'), validate({ params: idParams, query: deliveriesQuery }), async (req, res, next) => {
+  try {
+    const { status, event } = req.query;
+    const query = { webhook: req.params.id };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (event && event !== 'all') {
+      query.event = event;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 500));
+
+    res.json(deliveries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Redeliver a past delivery now
+router.post('/webhooks/deliveries/:id/redeliver', authorize('webhooks:manage'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.status(201).json(await redeliver(original));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// Create the first admin account now that open registration is disabled. With an organization
+// slug the admin belongs to that organization; without one it is a super admin, who can then
+// provision organizations through /api/super/organizations.
+// Usage: npm run create-admin -- <email> <password> [name] [organization-slug]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+
+dotenv.config();
+
+const run = async () => {
+  const [email, password, name = 'Administrator', slug] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> [name] [organization-slug]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    console.error('❌ User already exists with this email');
+    process.exit(1);
+  }
+
+  const organization = slug && await Organization.findOne({ slug: slug.toLowerCase() });
+  if (slug && !organization) {
+    console.error(`❌ Organization ${slug} not found`);
+    process.exit(1);
+  }
+
+  await new User({
+    name,
+    email,
+    password,
+    role: 'admin',
+    organization: organization?._id,
+    isSuperAdmin: !organization
+  }).save();
+  console.log(`✅ ${organization ? `Admin of ${organization.slug}` : 'Super admin'} ${email} created`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Failed to create admin:', err);
+  process.exit(1);
+});
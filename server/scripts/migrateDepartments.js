@@ -0,0 +1,27 @@
+// Create Department records from the free-text department names on users and invitations.
+// Safe to run more than once. Usage: npm run migrate-departments
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { migrateDepartmentNames } = require('../utils/departments');
+const { forEachOrganization, getTenantId } = require('../utils/tenancy');
+require('../models/Organization');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Each organization gets its own departments
+  await forEachOrganization(async () => {
+    const { created, existing, users, invitations } = await migrateDepartmentNames();
+    console.log(`✅ ${getTenantId()}: ${created} departments created, ${existing} already existed`);
+    console.log(`✅ ${getTenantId()}: ${users} users and ${invitations} invitations linked to their department`);
+  });
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Failed to migrate departments:', err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Move an existing single-company database into an organization: creates the organization,
+// assigns every record without one to it (roles included) and rebuilds the per-organization unique indexes.
+// Safe to run more than once.
+// Usage: npm run migrate-organization -- <name> <slug> [allowed-origin ...]
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Organization = require('../models/Organization');
+const { ensureDefaultRoles } = require('../utils/permissions');
+const { assignToOrganization } = require('../utils/organizations');
+
+dotenv.config();
+
+// Load every model so the tenant-scoped ones can be found
+const modelsDir = path.join(__dirname, '..', 'models');
+fs.readdirSync(modelsDir).forEach(file => require(path.join(modelsDir, file)));
+
+const run = async () => {
+  const [name, slug, ...allowedOrigins] = process.argv.slice(2);
+
+  if (!name || !slug) {
+    console.error('Usage: npm run migrate-organization -- <name> <slug> [allowed-origin ...]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let organization = await Organization.findOne({ slug: slug.toLowerCase() });
+  if (!organization) {
+    organization = await Organization.create({ name, slug, settings: { allowedOrigins } });
+    console.log(`✅ Organization ${organization.slug} created`);
+  }
+
+  const scopedModels = mongoose.modelNames()
+    .map(modelName => mongoose.model(modelName))
+    .filter(model => model.modelName !== 'Organization' && model.schema.path('organization'));
+
+  const results = await assignToOrganization(scopedModels, organization._id);
+  results.forEach(({ model, assigned, error }) => {
+    if (error) console.error(`❌ ${model}: ${error.message}`);
+    else console.log(`✅ ${model}: ${assigned} records assigned`);
+  });
+
+  // Built-in roles the organization did not have yet
+  await ensureDefaultRoles(organization._id);
+
+  await mongoose.disconnect();
+
+  // Failed models keep their records unassigned; fix the cause and run the script again
+  if (results.some(result => result.error)) {
+    process.exit(1);
+  }
+};
+
+run().catch(err => {
+  console.error('❌ Failed to migrate to an organization:', err);
+  process.exit(1);
+});
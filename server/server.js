@@ -5,25 +5,38 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+const { scheduleDaily, scheduleInterval, jobsEnabled, parseHour } = require('./utils/scheduler');
+const { runComplianceJob } = require('./utils/compliance');
+const { sendDailyDigests } = require('./utils/notifications');
+const { processDueDeliveries } = require('./utils/webhooks');
+const { runDueSchedules } = require('./utils/reports');
+const { ensureDefaultRoles } = require('./utils/permissions');
+const { forEachOrganization, getAllowedOrigins } = require('./utils/tenancy');
+const { AppError } = require('./utils/validation');
+const { errorFormat, notFound, errorHandler } = require('./middleware/errors');
+
 const app = express();
 
+// Behind a load balancer, TRUST_PROXY makes req.ip the client's address (used by rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
+app.use(errorFormat);
 app.use(express.json());
 
-// ✅ CORS setup (multi-origin support)
-const allowedOrigins = [
-  "http://localhost:3000", // local dev
-  "https://timesheetsproventech.netlify.app" // deployed frontend
-];
-
+// ✅ CORS setup — each organization lists its own front-end origins (plus CORS_ORIGINS)
 const corsOptions = {
   origin: (origin, callback) => {
     // Allow requests with no origin (like Postman, curl)
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error("Not allowed by CORS"));
+    if (!origin) {
+      return callback(null, true);
     }
+
+    getAllowedOrigins()
+      .then(origins => (origins.has(origin) ? callback(null, true) : callback(new AppError(403, 'CORS_NOT_ALLOWED', 'Not allowed by CORS'))))
+      .catch(callback);
   },
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
@@ -41,11 +54,47 @@ app.get("/", (req, res) => {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/timesheets', require('./routes/timesheets'));
+app.use('/api/leave', require('./routes/leave'));
+app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/admin', require('./routes/projects'));
+app.use('/api/admin', require('./routes/audit'));
+app.use('/api/admin', require('./routes/invitations'));
+app.use('/api/admin', require('./routes/leaveAdmin'));
+app.use('/api/admin', require('./routes/compliance'));
+app.use('/api/admin', require('./routes/webhooks'));
+app.use('/api/admin', require('./routes/imports'));
+app.use('/api/admin', require('./routes/analytics'));
+app.use('/api/admin', require('./routes/reports'));
+app.use('/api/admin', require('./routes/departments'));
+app.use('/api/admin', require('./routes/roles'));
+app.use('/api/admin', require('./routes/organization'));
+app.use('/api/admin', require('./routes/logins'));
+app.use('/api/super', require('./routes/organizations'));
+
+// ✅ Unknown routes and errors — every error response is { code, message, details }
+app.use(notFound);
+app.use(errorHandler);
 
 // ✅ MongoDB connection
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(() => {
+    console.log('✅ MongoDB connected');
+
+    // ✅ Built-in roles (employee, manager, department_admin, admin) for every organization
+    forEachOrganization(() => ensureDefaultRoles()).catch(err => console.error('❌ Failed to create default roles:', err));
+
+    // ✅ Background jobs
+    if (jobsEnabled()) {
+      scheduleDaily('compliance', { hour: parseHour(process.env.COMPLIANCE_JOB_HOUR, 6) }, () => forEachOrganization(runComplianceJob));
+      scheduleDaily('notification-digest', { hour: parseHour(process.env.DIGEST_JOB_HOUR, 7) }, sendDailyDigests);
+      scheduleInterval('webhook-retries', 30, processDueDeliveries);
+      scheduleInterval('report-schedules', 60, runDueSchedules);
+      if (!process.env.REPORT_DIR) {
+        console.error('❌ REPORT_DIR is not set: scheduled reports will fail until it points at persistent storage');
+      }
+    }
+  })
   .catch(err => console.error("❌ MongoDB connection error:", err));
 
 // ✅ Start server
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const {
+  getInitialStage,
+  isAdminLevel,
+  restrictEmployeeQuery,
+  evaluateDecision,
+  applyDecision
+} = require('../utils/approvals');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const lineManager = { _id: id(), name: 'Lin', role: 'manager', access: { permissions: ['timesheets:review'], scope: 'reports' } };
+const admin = { _id: id(), name: 'Ann', role: 'admin', access: { permissions: ['timesheets:review'], scope: 'all' } };
+
+const timesheetAt = (approvalStage) => ({ status: 'pending', approvalStage, approvals: [] });
+
+// The line manager the employee reports to, as User.findOne(...).select(...).lean() returns it
+const stubLineManager = (t, user) => {
+  t.mock.method(User, 'findOne', () => ({ select: () => ({ lean: async () => user }) }));
+  t.mock.method(Role, 'findOne', () => ({ lean: async () => null }));
+};
+
+test('employees without a line manager start at the admin step', async () => {
+  assert.equal(await getInitialStage({ reportsTo: null }), 'admin');
+  assert.equal(await getInitialStage(null), 'admin');
+});
+
+test('employees whose line manager reviews their reports start at the manager step', async (t) => {
+  stubLineManager(t, { _id: id(), role: 'manager' });
+
+  assert.equal(await getInitialStage({ reportsTo: id() }), 'manager');
+});
+
+test('employees reporting to someone who cannot act at the manager step go straight to admin', async (t) => {
+  stubLineManager(t, { _id: id(), role: 'department_admin' });
+  assert.equal(await getInitialStage({ reportsTo: id() }), 'admin');
+});
+
+test('employees whose line manager is gone or inactive go straight to admin', async (t) => {
+  stubLineManager(t, null);
+  assert.equal(await getInitialStage({ reportsTo: id() }), 'admin');
+});
+
+test('reviewers are admin-level unless their role is scoped to their reports', () => {
+  assert.equal(isAdminLevel(admin), true);
+  assert.equal(isAdminLevel(lineManager), false);
+  assert.equal(isAdminLevel({ role: 'department_admin' }), true);
+  // Unknown roles without loaded access never get admin sign-off
+  assert.equal(isAdminLevel({ role: 'contractor' }), false);
+});
+
+test('a line manager approval moves the timesheet on to the admin step', () => {
+  const timesheet = timesheetAt('manager');
+  const { step, final, error } = evaluateDecision(timesheet, lineManager, 'accepted', 'Looks good');
+
+  assert.equal(error, undefined);
+  assert.equal(step.level, 'manager');
+  assert.equal(final, false);
+
+  applyDecision(timesheet, step, final);
+  assert.equal(timesheet.status, 'pending');
+  assert.equal(timesheet.approvalStage, 'admin');
+  assert.equal(timesheet.approvals.length, 1);
+});
+
+test('a line manager rejection closes the review', () => {
+  const timesheet = timesheetAt('manager');
+  const { step, final } = evaluateDecision(timesheet, lineManager, 'rejected', 'Missing hours');
+
+  applyDecision(timesheet, step, final);
+  assert.equal(timesheet.status, 'rejected');
+  assert.equal(timesheet.approvalStage, 'complete');
+  assert.equal(timesheet.adminComments, 'Missing hours');
+});
+
+test('line managers cannot act once the timesheet has reached the admin step', () => {
+  assert.deepEqual(evaluateDecision(timesheetAt('admin'), lineManager, 'accepted'), {
+    error: 'Awaiting final sign-off from an admin'
+  });
+  assert.deepEqual(evaluateDecision(timesheetAt('complete'), lineManager, 'accepted'), {
+    error: 'Review is already complete'
+  });
+});
+
+test('admins can reject but not accept before the line manager has approved', () => {
+  assert.deepEqual(evaluateDecision(timesheetAt('manager'), admin, 'accepted'), {
+    error: 'Awaiting approval from the line manager'
+  });
+
+  const { final, error } = evaluateDecision(timesheetAt('manager'), admin, 'rejected');
+  assert.equal(error, undefined);
+  assert.equal(final, true);
+});
+
+test('an admin decision at the admin step is final', () => {
+  const timesheet = timesheetAt('admin');
+  const { step, final } = evaluateDecision(timesheet, admin, 'accepted');
+
+  applyDecision(timesheet, step, final);
+  assert.equal(timesheet.status, 'accepted');
+  assert.equal(timesheet.approvalStage, 'complete');
+  assert.equal(String(timesheet.reviewedBy), String(admin._id));
+});
+
+test('admins can revisit a completed review', () => {
+  const { final, error } = evaluateDecision({ ...timesheetAt('complete'), status: 'accepted' }, admin, 'rejected');
+
+  assert.equal(error, undefined);
+  assert.equal(final, true);
+});
+
+test('restrictEmployeeQuery narrows the employee condition, or another field', () => {
+  const [a, b, c] = [id(), id(), id()];
+
+  assert.deepEqual(restrictEmployeeQuery({}, [a, b]), { employee: { $in: [a, b] } });
+  assert.deepEqual(restrictEmployeeQuery({ employee: { $in: [a, c] } }, [a, b]), { employee: { $in: [a] } });
+  assert.deepEqual(restrictEmployeeQuery({ employee: c }, [a, b]), { employee: { $in: [] } });
+  assert.deepEqual(restrictEmployeeQuery({ subject: a }, [a, b], 'subject'), { subject: a });
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Timesheet = require('../models/Timesheet');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const { IMPORT_FIELDS, applyMapping, importEmployees, importTimesheets } = require('../utils/imports');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const req = { user: { _id: id() } };
+
+// A parsed file row with every column the import knows, as applyMapping produces it
+const rowFor = (type, values, line = 2) => {
+  const { required, optional } = IMPORT_FIELDS[type];
+  return applyMapping({ ...values, _line: line }, [...required, ...optional]);
+};
+
+const employee = { _id: id(), name: 'Eve', email: 'eve@example.com', reportsTo: null };
+
+const storedDay = (values = {}) => new Timesheet({
+  employee: employee._id,
+  employeeName: employee.name,
+  date: new Date(2024, 0, 8),
+  plannedWork: 'Plan',
+  actualWork: 'Done',
+  remarks: '',
+  status: 'accepted',
+  approvalStage: 'complete',
+  reviewedBy: req.user._id,
+  period: id(),
+  ...values
+});
+
+// Stub the lookups a timesheet import makes: the employee, the stored day (built afresh from
+// `stored` on each lookup, as the import edits it in place) and its week
+const stubTimesheetLookups = (t, { stored = null, period = null } = {}) => {
+  t.mock.method(User, 'findOne', async () => employee);
+  t.mock.method(Timesheet, 'findOne', async () => stored && storedDay(stored));
+  t.mock.method(TimesheetPeriod, 'findById', async () => period);
+  t.mock.method(TimesheetPeriod, 'findOne', async () => period);
+};
+
+const timesheetRow = (values = {}) => rowFor('timesheets', {
+  employee: employee.email,
+  date: '2024-01-08',
+  plannedWork: 'Plan',
+  actualWork: 'Done',
+  status: 'accepted',
+  ...values
+});
+
+test('re-importing a row that matches an accepted day in a locked week reports it unchanged', async (t) => {
+  stubTimesheetLookups(t, { stored: {}, period: { status: 'accepted' } });
+
+  const { summary, results } = await importTimesheets(req, [timesheetRow()], { dryRun: true });
+
+  assert.equal(results[0].result, 'unchanged');
+  assert.equal(summary.unchanged, 1);
+  assert.equal(summary.failed, 0);
+});
+
+test('a changed row in a locked week fails unless overwriteLocked is set', async (t) => {
+  stubTimesheetLookups(t, { stored: { status: 'pending', approvalStage: 'admin', reviewedBy: undefined }, period: { status: 'submitted' } });
+  const row = timesheetRow({ actualWork: 'Done and more', status: '' });
+
+  const locked = await importTimesheets(req, [row], { dryRun: true });
+  assert.equal(locked.results[0].result, 'failed');
+  assert.deepEqual(locked.results[0].errors, ['Week is already submitted']);
+
+  const overwritten = await importTimesheets(req, [row], { dryRun: true, overwriteLocked: true });
+  assert.equal(overwritten.results[0].result, 'would_update');
+  assert.deepEqual(overwritten.results[0].changes, ['actualWork']);
+});
+
+test('a changed row for an accepted day fails even when its week is open', async (t) => {
+  stubTimesheetLookups(t, { stored: {}, period: { status: 'draft' } });
+
+  const { results } = await importTimesheets(req, [timesheetRow({ remarks: 'Late' })], { dryRun: true });
+
+  assert.equal(results[0].result, 'failed');
+  assert.deepEqual(results[0].errors, ['Timesheet is already accepted']);
+});
+
+test('a dry run reports new rows it would create and saves nothing', async (t) => {
+  stubTimesheetLookups(t);
+  const save = t.mock.method(Timesheet.prototype, 'save', async function () { return this; });
+
+  const { summary, results } = await importTimesheets(req, [timesheetRow({ status: '' })], { dryRun: true });
+
+  assert.equal(results[0].result, 'would_create');
+  assert.equal(summary.created, 1);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('invalid and duplicate timesheet rows fail without looking up a stored day', async (t) => {
+  stubTimesheetLookups(t);
+
+  const { summary, results } = await importTimesheets(req, [
+    rowFor('timesheets', { employee: employee.email, date: 'not a date', plannedWork: '', actualWork: 'Done', status: 'maybe' }, 2),
+    timesheetRow({ status: '', hours: '2' }),
+    { ...timesheetRow({ status: '' }), line: 4 }
+  ], { dryRun: true });
+
+  assert.deepEqual(results[0].errors, [
+    'Date is missing or not valid',
+    'Planned work is required',
+    'Status must be pending, accepted or rejected'
+  ]);
+  assert.equal(results[1].result, 'would_create');
+  assert.deepEqual(results[2].errors, ['Duplicate of line 2']);
+  assert.equal(summary.failed, 2);
+  assert.equal(Timesheet.findOne.mock.callCount(), 1);
+});
+
+// Stub the lookups an employee import makes against a directory of existing users
+const stubDirectory = (t, users = []) => {
+  const matches = (user, filter) => Object.entries(filter).every(([field, value]) => user[field] === value);
+  const find = (filter) => users.find(user => (filter.$or || [filter]).some(clause => matches(user, clause))) || null;
+
+  t.mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  t.mock.method(User, 'findOne', async (filter) => find(filter));
+  t.mock.method(User, 'exists', () => ({ setOptions: async () => null }));
+};
+
+test('employee rows are validated and duplicates within the file are rejected', async (t) => {
+  stubDirectory(t);
+
+  const { summary, results } = await importEmployees(req, [
+    rowFor('employees', { name: '', email: 'not-an-email', role: 'admin', password: '123' }, 2),
+    rowFor('employees', { name: 'Sam', email: 'Sam@Example.com ' }, 3),
+    rowFor('employees', { name: 'Sam again', email: 'sam@example.com' }, 4)
+  ], { dryRun: true });
+
+  assert.deepEqual(results[0].errors, [
+    'Name is required',
+    'Email is not valid',
+    'Role must be employee or manager',
+    'Password must be at least 6 characters'
+  ]);
+  assert.equal(results[1].result, 'would_create');
+  assert.equal(results[1].email, 'sam@example.com');
+  assert.deepEqual(results[2].errors, ['Duplicate of line 3']);
+  assert.equal(summary.failed, 2);
+});
+
+test('line managers must be active and hold a reviewing role, or be created earlier in the file', async (t) => {
+  stubDirectory(t, [
+    { _id: id(), email: 'old@example.com', role: 'manager', isActive: false },
+    { _id: id(), email: 'peer@example.com', role: 'employee', isActive: true }
+  ]);
+
+  const { results } = await importEmployees(req, [
+    rowFor('employees', { name: 'Ann', email: 'ann@example.com', reportsTo: 'old@example.com' }, 2),
+    rowFor('employees', { name: 'Bo', email: 'bo@example.com', reportsTo: 'peer@example.com' }, 3),
+    rowFor('employees', { name: 'Max', email: 'max@example.com', role: 'manager' }, 4),
+    rowFor('employees', { name: 'Cy', email: 'cy@example.com', reportsTo: 'max@example.com' }, 5)
+  ], { dryRun: true });
+
+  assert.deepEqual(results[0].errors, ['Line manager old@example.com not found']);
+  assert.deepEqual(results[1].errors, ['Line manager peer@example.com not found']);
+  assert.equal(results[2].result, 'would_create');
+  assert.equal(results[3].result, 'would_create');
+});
+
+test('re-importing an employee that matches what is stored reports it unchanged', async (t) => {
+  const manager = new User({ name: 'Max', email: 'max@example.com', role: 'manager', isActive: true });
+  const stored = new User({ name: 'Eve', email: 'eve@example.com', role: 'employee', employeeId: 'E1', reportsTo: manager._id, isActive: true });
+  stubDirectory(t, [manager, stored]);
+
+  const row = { name: 'Eve', email: 'eve@example.com', employeeId: 'E1', reportsTo: 'max@example.com' };
+  const unchanged = await importEmployees(req, [rowFor('employees', row)], { dryRun: true });
+  assert.equal(unchanged.results[0].result, 'unchanged');
+
+  const renamed = await importEmployees(req, [rowFor('employees', { ...row, name: 'Eve Adams' })], { dryRun: true });
+  assert.equal(renamed.results[0].result, 'would_update');
+  assert.deepEqual(renamed.results[0].changes, ['name']);
+});
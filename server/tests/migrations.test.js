@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { assignToOrganization } = require('../utils/organizations');
+const { migrateDepartmentNames } = require('../utils/departments');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a model: records the driver update and index sync it receives
+const fakeModel = (modelName, { fail = false, modified = 1 } = {}) => {
+  const model = {
+    modelName,
+    updates: [],
+    synced: false,
+    collection: {
+      async updateMany(filter, update) {
+        if (fail) throw new Error(`${modelName} is unavailable`);
+        model.updates.push({ filter, update });
+        return { modifiedCount: modified };
+      }
+    },
+    async syncIndexes() {
+      model.synced = true;
+    }
+  };
+
+  return model;
+};
+
+test('the audit log refuses model-level updates, so the migration cannot use them', async () => {
+  await assert.rejects(AuditLog.updateMany({}, { $set: { organization: id() } }), /cannot be modified/);
+});
+
+test('assignToOrganization writes through the driver, audit log included', async (t) => {
+  const org = id();
+  const updateMany = t.mock.method(AuditLog.collection, 'updateMany', async () => ({ modifiedCount: 3 }));
+  t.mock.method(AuditLog, 'syncIndexes', async () => []);
+
+  const results = await assignToOrganization([AuditLog], org);
+
+  assert.deepEqual(results, [{ model: 'AuditLog', assigned: 3 }]);
+  assert.deepEqual(updateMany.mock.calls[0].arguments, [
+    { organization: { $exists: false } },
+    { $set: { organization: org } }
+  ]);
+});
+
+test('assignToOrganization keeps super admins out of the organization', async () => {
+  const users = fakeModel('User');
+
+  await assignToOrganization([users], id());
+
+  assert.deepEqual(users.updates[0].filter, { organization: { $exists: false }, isSuperAdmin: { $ne: true } });
+  assert.equal(users.synced, true);
+});
+
+test('assignToOrganization carries on past a failing model and reports it', async () => {
+  const models = [
+    fakeModel('Holiday', { modified: 2 }),
+    fakeModel('Project', { fail: true }),
+    fakeModel('Timesheet', { modified: 5 })
+  ];
+
+  const results = await assignToOrganization(models, id());
+
+  assert.deepEqual(results.map(({ model, assigned }) => ({ model, assigned })), [
+    { model: 'Holiday', assigned: 2 },
+    { model: 'Project', assigned: undefined },
+    { model: 'Timesheet', assigned: 5 }
+  ]);
+  assert.match(results[1].error.message, /unavailable/);
+  assert.equal(models[1].synced, false);
+  assert.equal(models[2].synced, true);
+});
+
+test('migrateDepartmentNames merges spellings into one department named after the most common', async (t) => {
+  t.mock.method(User, 'aggregate', async () => [
+    { _id: 'Engineering', count: 4 },
+    { _id: 'engineering ', count: 1 },
+    { _id: 'Sales', count: 2 }
+  ]);
+  t.mock.method(Invitation, 'aggregate', async () => [{ _id: 'ENGINEERING', count: 1 }]);
+
+  const sales = new Department({ name: 'Sales' });
+  t.mock.method(Department, 'findOne', async ({ nameKey }) => (nameKey === Department.toNameKey('Sales') ? sales : null));
+  const create = t.mock.method(Department, 'create', async ({ name }) => new Department({ name }));
+  const userUpdates = t.mock.method(User, 'updateMany', async () => ({ modifiedCount: 2 }));
+  t.mock.method(Invitation, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  const summary = await migrateDepartmentNames();
+
+  assert.deepEqual(summary, { created: 1, existing: 1, users: 4, invitations: 2 });
+  assert.deepEqual(create.mock.calls.map(call => call.arguments[0].name), ['Engineering']);
+
+  const engineeringNames = userUpdates.mock.calls[0].arguments[0].department.$in;
+  assert.deepEqual([...engineeringNames].sort(), ['ENGINEERING', 'Engineering', 'engineering ']);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const Timesheet = require('../models/Timesheet');
+const { getWeekRange, isPeriodLocked, findPeriod, syncPeriodStatus } = require('../utils/periods');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makePeriod = (t, status) => {
+  const period = new TimesheetPeriod({
+    employee: id(),
+    employeeName: 'Ada',
+    startDate: new Date('2024-03-04'),
+    endDate: new Date('2024-03-10T23:59:59.999Z'),
+    status
+  });
+  t.mock.method(period, 'save', async () => period);
+  t.mock.method(TimesheetPeriod, 'findById', async () => period);
+  return period;
+};
+
+const stubDays = (t, days) => {
+  t.mock.method(Timesheet, 'find', () => ({ select: async () => days }));
+};
+
+test('getWeekRange covers Monday to Sunday by default', () => {
+  const { startDate, endDate } = getWeekRange(new Date('2024-03-07T15:00:00Z'));
+
+  assert.equal(startDate.toISOString(), '2024-03-04T00:00:00.000Z');
+  assert.equal(endDate.toISOString(), '2024-03-10T23:59:59.999Z');
+});
+
+test('getWeekRange follows another week start day', () => {
+  const { startDate } = getWeekRange(new Date('2024-03-07T15:00:00Z'), 0);
+
+  assert.equal(startDate.toISOString(), '2024-03-03T00:00:00.000Z');
+});
+
+test('only submitted and accepted periods are locked', () => {
+  assert.equal(isPeriodLocked({ status: 'open' }), false);
+  assert.equal(isPeriodLocked({ status: 'rejected' }), false);
+  assert.equal(isPeriodLocked({ status: 'submitted' }), true);
+  assert.equal(isPeriodLocked({ status: 'accepted' }), true);
+});
+
+test('findPeriod returns an unsaved open period for a week without one', async (t) => {
+  t.mock.method(TimesheetPeriod, 'findOne', async () => null);
+  const create = t.mock.method(TimesheetPeriod, 'findOneAndUpdate', async () => null);
+
+  const period = await findPeriod({ _id: id(), name: 'Ada' }, new Date('2024-03-07'));
+
+  assert.equal(period._id, undefined);
+  assert.equal(period.status, 'open');
+  assert.equal(period.startDate.toISOString(), '2024-03-04T00:00:00.000Z');
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('syncPeriodStatus leaves open weeks alone', async (t) => {
+  const period = makePeriod(t, 'open');
+  stubDays(t, [{ status: 'accepted', reviewedBy: id(), reviewedAt: new Date() }]);
+
+  await syncPeriodStatus(period._id);
+
+  assert.equal(period.status, 'open');
+  assert.equal(period.save.mock.callCount(), 0);
+});
+
+test('syncPeriodStatus accepts a submitted week once every day is accepted', async (t) => {
+  const period = makePeriod(t, 'submitted');
+  const lastReviewer = id();
+  stubDays(t, [
+    { status: 'accepted', reviewedBy: id(), reviewedAt: new Date('2024-03-11T09:00:00Z') },
+    { status: 'accepted', reviewedBy: lastReviewer, reviewedAt: new Date('2024-03-11T10:00:00Z') }
+  ]);
+
+  await syncPeriodStatus(period._id);
+
+  assert.equal(period.status, 'accepted');
+  assert.equal(period.approvalStage, 'complete');
+  assert.equal(String(period.reviewedBy), String(lastReviewer));
+  assert.equal(period.reviewedAt.toISOString(), '2024-03-11T10:00:00.000Z');
+  assert.equal(period.save.mock.callCount(), 1);
+});
+
+test('syncPeriodStatus hands a submitted week back when a day is rejected', async (t) => {
+  const period = makePeriod(t, 'submitted');
+  const rejecter = id();
+  stubDays(t, [
+    { status: 'accepted', reviewedBy: id(), reviewedAt: new Date('2024-03-11T11:00:00Z') },
+    { status: 'rejected', reviewedBy: rejecter, reviewedAt: new Date('2024-03-11T10:00:00Z') }
+  ]);
+
+  await syncPeriodStatus(period._id);
+
+  assert.equal(period.status, 'rejected');
+  assert.equal(String(period.reviewedBy), String(rejecter));
+});
+
+test('syncPeriodStatus waits while days are still pending', async (t) => {
+  const period = makePeriod(t, 'submitted');
+  stubDays(t, [
+    { status: 'accepted', reviewedBy: id(), reviewedAt: new Date() },
+    { status: 'pending' }
+  ]);
+
+  await syncPeriodStatus(period._id);
+
+  assert.equal(period.status, 'submitted');
+  assert.equal(period.save.mock.callCount(), 0);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const { tenantScoped, runWithTenant, getTenantId } = require('../utils/tenancy');
+const { ensureDefaultRoles, getAccess, DEFAULT_ROLES } = require('../utils/permissions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A tenant-scoped model whose queries stop right after the plugin's hooks, handing back the
+// filter or pipeline they would have sent, so no database is needed
+const STOP = 'stopped before reaching the database';
+const widgetSchema = new mongoose.Schema({ name: String });
+widgetSchema.plugin(tenantScoped);
+widgetSchema.pre(['find', 'findOne', 'updateMany', 'deleteOne', 'countDocuments'], function() {
+  const error = new Error(STOP);
+  error.filter = this.getFilter();
+  throw error;
+});
+widgetSchema.pre('aggregate', function() {
+  const error = new Error(STOP);
+  error.pipeline = this.pipeline();
+  throw error;
+});
+const Widget = mongoose.model('TenancyTestWidget', widgetSchema);
+
+const filterOf = (query) => query.then(() => assert.fail('query should have stopped'), error => {
+  assert.equal(error.message, STOP);
+  return error.filter;
+});
+
+const asTenant = (organizationId, fn) => runWithTenant({ _id: organizationId, settings: {} }, fn);
+
+test('queries inside a tenant are limited to its organization', async () => {
+  const orgA = id();
+  const orgB = id();
+
+  const filterA = await asTenant(orgA, () => filterOf(Widget.find({ name: 'x' })));
+  const filterB = await asTenant(orgB, () => filterOf(Widget.findOne({ name: 'x' })));
+
+  assert.deepEqual(filterA, { name: 'x', organization: orgA });
+  assert.deepEqual(filterB, { name: 'x', organization: orgB });
+});
+
+test('writes and deletes are limited to the tenant too', async () => {
+  const org = id();
+
+  assert.equal(String((await asTenant(org, () => filterOf(Widget.updateMany({}, { name: 'y' })))).organization), String(org));
+  assert.equal(String((await asTenant(org, () => filterOf(Widget.deleteOne({ _id: id() })))).organization), String(org));
+  assert.equal(String((await asTenant(org, () => filterOf(Widget.countDocuments()))).organization), String(org));
+});
+
+test('queries outside a tenant, or opting out, are not filtered', async () => {
+  assert.deepEqual(await filterOf(Widget.find({ name: 'x' })), { name: 'x' });
+
+  const org = id();
+  const optedOut = await asTenant(org, () => filterOf(Widget.find({ name: 'x' }).setOptions({ allOrganizations: true })));
+  assert.deepEqual(optedOut, { name: 'x' });
+});
+
+test('an organization given in the filter is kept', async () => {
+  const other = id();
+  const filter = await asTenant(id(), () => filterOf(Widget.find({ organization: other })));
+
+  assert.deepEqual(filter, { organization: other });
+});
+
+test('aggregations start with a match on the tenant', async () => {
+  const org = id();
+  const pipeline = await asTenant(org, () => Widget.aggregate([{ $group: { _id: null } }]).then(
+    () => assert.fail('aggregate should have stopped'),
+    error => error.pipeline
+  ));
+
+  assert.deepEqual(pipeline[0], { $match: { organization: org } });
+});
+
+test('new documents are stamped with the tenant', async () => {
+  const org = id();
+  const widget = new Widget({ name: 'x' });
+
+  await asTenant(org, () => widget.validate());
+  assert.equal(String(widget.organization), String(org));
+
+  const outside = new Widget({ name: 'y' });
+  await outside.validate();
+  assert.equal(outside.organization, undefined);
+});
+
+test('tenant context does not leak between concurrent tasks', async () => {
+  const [orgA, orgB] = [id(), id()];
+  const seen = await Promise.all([
+    asTenant(orgA, async () => { await new Promise(resolve => setTimeout(resolve, 5)); return getTenantId(); }),
+    asTenant(orgB, async () => getTenantId())
+  ]);
+
+  assert.deepEqual(seen.map(String), [String(orgA), String(orgB)]);
+  assert.equal(getTenantId(), null);
+});
+
+test('role names are unique per organization, not globally', () => {
+  assert.ok(Role.schema.path('organization'));
+  assert.equal(Role.schema.path('name').options.unique, undefined);
+
+  const index = Role.schema.indexes().find(([fields]) => fields.organization === 1 && fields.name === 1);
+  assert.ok(index);
+  assert.equal(index[1].unique, true);
+});
+
+test('default roles are seeded for the given organization', async (t) => {
+  const org = id();
+  const updateOne = t.mock.method(Role, 'updateOne', async () => ({}));
+
+  await ensureDefaultRoles(org);
+
+  assert.equal(updateOne.mock.callCount(), DEFAULT_ROLES.length);
+  updateOne.mock.calls.forEach(call => assert.equal(String(call.arguments[0].organization), String(org)));
+});
+
+test('default roles are not seeded without an organization', async (t) => {
+  const updateOne = t.mock.method(Role, 'updateOne', async () => ({}));
+
+  await ensureDefaultRoles();
+
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test("access is read from the user's own organization's roles", async (t) => {
+  const org = id();
+  const findOne = t.mock.method(Role, 'findOne', () => ({
+    lean: async () => ({ name: 'auditor', permissions: ['audit:read'], scope: 'department' })
+  }));
+
+  const access = await getAccess({ role: 'auditor', organization: org });
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { name: 'auditor', organization: org });
+  assert.deepEqual(access, { permissions: ['audit:read'], scope: 'department' });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { z, AppError, requiredString, requiredSecret, validate } = require('../utils/validation');
+
+// Run the middleware on a request and return what it passed to next()
+const run = (schemas, req) => {
+  let passed;
+  validate(schemas)(req, {}, (error) => { passed = error; });
+  return passed;
+};
+
+const signupBody = z.object({
+  email: z.string().trim().toLowerCase().email('Must be a valid email'),
+  name: requiredString,
+  password: requiredSecret
+});
+
+test('checked values replace the raw ones so handlers store what was validated', () => {
+  const req = { body: { email: '  Eve@Example.com ', name: ' Eve ', password: ' secret ', extra: 'kept' } };
+
+  assert.equal(run({ body: signupBody }, req), undefined);
+  assert.deepEqual(req.body, { email: 'eve@example.com', name: 'Eve', password: ' secret ', extra: 'kept' });
+});
+
+test('nothing is rewritten when any location fails validation', () => {
+  const req = {
+    params: { id: 'abc' },
+    body: { email: ' Eve@Example.com ', name: 'Eve', password: 'secret' }
+  };
+
+  const error = run({ params: z.object({ id: z.string().length(24, 'Must be a valid id') }), body: signupBody }, req);
+
+  assert.ok(error instanceof AppError);
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.equal(error.message, 'id: Must be a valid id');
+  assert.deepEqual(error.details, [{ location: 'params', field: 'id', message: 'Must be a valid id' }]);
+  assert.equal(req.body.email, ' Eve@Example.com ');
+});
+
+test('every failing field is reported', () => {
+  const error = run({ body: signupBody }, { body: { email: 'nope', name: '  ', password: '' } });
+
+  assert.deepEqual(error.details.map(detail => detail.field), ['email', 'name', 'password']);
+});
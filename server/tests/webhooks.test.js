@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns').promises;
+const { isBlockedAddress, checkWebhookTarget } = require('../utils/webhooks');
+
+test('internal, private and metadata addresses are blocked', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', 'not-an-ip'
+  ].forEach(address => assert.equal(isBlockedAddress(address), true, address));
+});
+
+test('public addresses are allowed', () => {
+  ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8', '::ffff:808:808']
+    .forEach(address => assert.equal(isBlockedAddress(address), false, address));
+});
+
+test('URLs naming an internal address directly are rejected', async () => {
+  assert.equal(await checkWebhookTarget('http://127.0.0.1:5000/hook'), 'URL must point at a public address');
+  assert.equal(await checkWebhookTarget('http://[::ffff:127.0.0.1]/hook'), 'URL must point at a public address');
+  assert.equal(await checkWebhookTarget('not a url'), 'URL is not valid');
+});
+
+test('hosts are rejected when any address they resolve to is internal', async (t) => {
+  t.mock.method(dns, 'lookup', async (host) => host === 'hooks.example.com'
+    ? [{ address: '93.184.216.34', family: 4 }]
+    : [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+  assert.equal(await checkWebhookTarget('https://hooks.example.com/in'), null);
+  assert.equal(await checkWebhookTarget('https://rebind.example.com/in'), 'URL must point at a public address');
+});
+
+test('hosts that do not resolve are rejected', async (t) => {
+  t.mock.method(dns, 'lookup', async () => { throw new Error('ENOTFOUND'); });
+
+  assert.equal(await checkWebhookTarget('https://missing.example.com/in'), 'Host missing.example.com could not be resolved');
+});
+
+test('WEBHOOK_ALLOWED_HOSTS lets named internal receivers through', async (t) => {
+  const previous = process.env.WEBHOOK_ALLOWED_HOSTS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    else process.env.WEBHOOK_ALLOWED_HOSTS = previous;
+  });
+  process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.internal, 10.0.0.5';
+
+  assert.equal(await checkWebhookTarget('http://10.0.0.5/hook'), null);
+  assert.equal(await checkWebhookTarget('http://HOOKS.internal/hook'), null);
+  assert.equal(await checkWebhookTarget('http://10.0.0.6/hook'), 'URL must point at a public address');
+});
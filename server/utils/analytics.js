@@ -0,0 +1,177 @@
+const Timesheet = require('../models/Timesheet');
+const { scopeEmployeeQuery } = require('./approvals');
+const { filterByDepartment } = require('./departments');
+const { getWeekStartDay } = require('./periods');
+
+const GROUP_BY_OPTIONS = ['day', 'week', 'month', 'department', 'employee'];
+
+// Columns of a grouped row, in export order
+const ANALYTICS_COLUMNS = [
+  'key', 'submitted', 'pending', 'accepted', 'rejected',
+  'acceptanceRate', 'rejectionRate', 'averageReviewHours', 'totalHours'
+];
+
+const WEEK_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// $match stage for a date range and department, limited to a manager's reports
+const buildMatch = async ({ startDate, endDate, department }, reviewer) => {
+  const match = {};
+
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+  }
+
+  await filterByDepartment(match, department);
+
+  if (reviewer) {
+    await scopeEmployeeQuery(reviewer, match);
+  }
+
+  return match;
+};
+
+// Group key expression for each groupBy option; department and employee need the user joined in
+const groupKey = (groupBy) => {
+  switch (groupBy) {
+    case 'week': {
+      const startOfWeek = WEEK_DAY_NAMES[getWeekStartDay()];
+      return { $dateToString: { format: '%Y-%m-%d', date: { $dateTrunc: { date: '$date', unit: 'week', startOfWeek } } } };
+    }
+    case 'month':
+      return { $dateToString: { format: '%Y-%m', date: '$date' } };
+    case 'department':
+      return { $cond: [{ $gt: [{ $ifNull: ['$user.department', ''] }, ''] }, '$user.department', 'Unassigned'] };
+    case 'employee':
+      return '$employee';
+    default:
+      return { $dateToString: { format: '%Y-%m-%d', date: '$date' } };
+  }
+};
+
+// Counters shared by every grouping
+const COUNTERS = {
+  submitted: { $sum: 1 },
+  pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+  accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+  rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+  totalMinutes: { $sum: '$totalMinutes' },
+  // Submission to review, only for reviewed timesheets
+  reviewMs: {
+    $sum: { $cond: [{ $ifNull: ['$reviewedAt', false] }, { $subtract: ['$reviewedAt', '$createdAt'] }, 0] }
+  },
+  reviewed: { $sum: { $cond: [{ $ifNull: ['$reviewedAt', false] }, 1, 0] } }
+};
+
+// Rates are shares of reviewed timesheets; pending ones have no outcome yet
+const rateOf = (field) => ({
+  $cond: [
+    { $gt: [{ $add: ['$accepted', '$rejected'] }, 0] },
+    { $round: [{ $divide: [field, { $add: ['$accepted', '$rejected'] }] }, 4] },
+    null
+  ]
+});
+
+const SHAPE = {
+  submitted: 1,
+  pending: 1,
+  accepted: 1,
+  rejected: 1,
+  acceptanceRate: rateOf('$accepted'),
+  rejectionRate: rateOf('$rejected'),
+  averageReviewHours: {
+    $cond: [{ $gt: ['$reviewed', 0] }, { $round: [{ $divide: ['$reviewMs', { $multiply: ['$reviewed', HOUR_MS] }] }, 2] }, null]
+  },
+  totalHours: { $round: [{ $divide: ['$totalMinutes', 60] }, 2] }
+};
+
+const JOIN_USER = [
+  { $lookup: { from: 'users', localField: 'employee', foreignField: '_id', as: 'user' } },
+  { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+];
+
+// Submission counts, acceptance/rejection rates and average review time, in total and per group,
+// plus the employees with the most rejections. One aggregation with a facet per result.
+const getReviewAnalytics = async ({ startDate, endDate, department, groupBy = 'day', topLimit = 10 } = {}, reviewer) => {
+  const match = await buildMatch({ startDate, endDate, department }, reviewer);
+  const needsUser = groupBy === 'department' || groupBy === 'employee';
+
+  const [result] = await Timesheet.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, ...COUNTERS } },
+          { $project: { _id: 0, ...SHAPE } }
+        ],
+        groups: [
+          ...(needsUser ? JOIN_USER : []),
+          {
+            $group: {
+              _id: groupKey(groupBy),
+              ...COUNTERS,
+              employeeName: { $first: '$employeeName' }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              key: '$_id',
+              ...(groupBy === 'employee' ? { employeeName: 1 } : {}),
+              ...SHAPE
+            }
+          },
+          { $sort: groupBy === 'employee' || groupBy === 'department' ? { submitted: -1, key: 1 } : { key: 1 } }
+        ],
+        topRejected: [
+          { $match: { status: 'rejected' } },
+          { $group: { _id: '$employee', employeeName: { $first: '$employeeName' }, rejected: { $sum: 1 } } },
+          { $sort: { rejected: -1, employeeName: 1 } },
+          { $limit: topLimit },
+          { $project: { _id: 0, employee: '$_id', employeeName: 1, rejected: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const emptyTotals = {
+    submitted: 0,
+    pending: 0,
+    accepted: 0,
+    rejected: 0,
+    acceptanceRate: null,
+    rejectionRate: null,
+    averageReviewHours: null,
+    totalHours: 0
+  };
+
+  return {
+    range: { startDate: startDate || null, endDate: endDate || null },
+    groupBy,
+    totals: result.totals[0] || emptyTotals,
+    groups: result.groups,
+    topRejected: result.topRejected
+  };
+};
+
+// Timesheet counts by status in a single pass, for the dashboard
+const getStatusCounts = async (match = {}) => {
+  const counts = await Timesheet.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+  return {
+    totalTimesheets: counts.reduce((sum, c) => sum + c.count, 0),
+    pending: byStatus.pending || 0,
+    accepted: byStatus.accepted || 0,
+    rejected: byStatus.rejected || 0
+  };
+};
+
+module.exports = { GROUP_BY_OPTIONS, ANALYTICS_COLUMNS, getReviewAnalytics, getStatusCounts };
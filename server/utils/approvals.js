@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const { DEFAULT_ROLES, getAccess } = require('./permissions');
+
+// Whether an access grant ({ permissions, scope }) reviews at the line manager step
+const reviewsAsLineManager = ({ permissions, scope }) =>
+  scope === 'reports' && permissions.includes('timesheets:review');
+
+// Employees start at the manager step only when their line manager can actually act there:
+// a reviewer whose role is scoped to their direct reports. Anyone else goes straight to admin.
+const getInitialStage = async (employee) => {
+  if (!employee || !employee.reportsTo) return 'admin';
+
+  const lineManager = await User.findOne({ _id: employee.reportsTo, isActive: true })
+    .select('role organization')
+    .lean();
+  if (!lineManager) return 'admin';
+
+  return reviewsAsLineManager(await getAccess(lineManager)) ? 'manager' : 'admin';
+};
+
+// Reviewers whose role is scoped to their direct reports act at the line manager step;
+// everyone else decides at the admin step. Without loaded access the role's built-in
+// scope is used, and unknown roles count as line managers so they never gain admin sign-off.
+const isLineManager = (reviewer) => {
+  const access = reviewer.access || DEFAULT_ROLES.find(r => r.name === reviewer.role);
+  return access ? access.scope === 'reports' : true;
+};
+const isAdminLevel = (reviewer) => !isLineManager(reviewer);
+
+// IDs of the users a reviewer may act on, or null when unrestricted. Follows the scope of the
+// reviewer's role: everyone, their department, or their direct reports.
+const getScopedEmployeeIds = async (reviewer) => {
+  const { scope } = reviewer.access || await getAccess(reviewer);
+
+  if (scope === 'all') return null;
+
+  if (scope === 'department') {
+    if (!reviewer.departmentId) return [];
+    return User.find({ departmentId: reviewer.departmentId }).distinct('_id');
+  }
+
+  return User.find({ reportsTo: reviewer._id }).distinct('_id');
+};
+
+// Whether the reviewer may see or review the given employee
+const canReviewEmployee = async (reviewer, employeeId) => {
+  const scopedIds = await getScopedEmployeeIds(reviewer);
+  if (!scopedIds) return true;
+
+  return scopedIds.some(id => String(id) === String(employeeId));
+};
+
+// Narrow a query's `employee` condition (a single id or an $in list) to the given ids.
+// `field` names another path holding the employee, such as an audit entry's `subject`.
+const restrictEmployeeQuery = (query, ids, field = 'employee') => {
+  const allowed = new Set(ids.map(String));
+
+  if (query[field]?.$in) {
+    query[field] = { $in: query[field].$in.filter(id => allowed.has(String(id))) };
+  } else if (query[field]) {
+    query[field] = allowed.has(String(query[field])) ? query[field] : { $in: [] };
+  } else {
+    query[field] = { $in: ids };
+  }
+
+  return query;
+};
+
+// Restrict a query's `employee` condition (or `field`) to the reviewer's reports
+const scopeEmployeeQuery = async (reviewer, query, field = 'employee') => {
+  const scopedIds = await getScopedEmployeeIds(reviewer);
+  if (!scopedIds) return query;
+
+  return restrictEmployeeQuery(query, scopedIds, field);
+};
+
+// Work out the approval step a reviewer's decision produces.
+// Returns { error } when the reviewer may not act at the document's current stage,
+// otherwise { step, final } where `final` means the decision closes the review.
+const evaluateDecision = (doc, reviewer, decision, comment) => {
+  const stage = doc.approvalStage || 'admin';
+
+  // Only admins can revisit a decision once the chain has finished
+  if (stage === 'complete' && !isAdminLevel(reviewer)) {
+    return { error: 'Review is already complete' };
+  }
+
+  if (isLineManager(reviewer) && stage !== 'manager') {
+    return { error: 'Awaiting final sign-off from an admin' };
+  }
+
+  // Admins can always reject, but acceptance needs the line manager's approval first
+  if (isAdminLevel(reviewer) && stage === 'manager' && decision === 'accepted') {
+    return { error: 'Awaiting approval from the line manager' };
+  }
+
+  const level = isLineManager(reviewer) ? 'manager' : 'admin';
+  const step = {
+    level,
+    reviewer: reviewer._id,
+    reviewerName: reviewer.name,
+    decision,
+    comment: comment || '',
+    decidedAt: new Date()
+  };
+
+  return { step, final: level === 'admin' || decision === 'rejected' };
+};
+
+// Apply a decision to a timesheet or period document in place
+const applyDecision = (doc, step, final) => {
+  doc.approvals.push(step);
+
+  if (final) {
+    doc.status = step.decision;
+    doc.approvalStage = 'complete';
+    doc.adminComments = step.comment;
+    doc.reviewedBy = step.reviewer;
+    doc.reviewedAt = step.decidedAt;
+  } else {
+    doc.approvalStage = 'admin';
+  }
+};
+
+module.exports = {
+  getInitialStage,
+  isAdminLevel,
+  getScopedEmployeeIds,
+  canReviewEmployee,
+  restrictEmployeeQuery,
+  scopeEmployeeQuery,
+  evaluateDecision,
+  applyDecision
+};
@@ -0,0 +1,56 @@
+const AuditLog = require('../models/AuditLog');
+
+const TIMESHEET_FIELDS = [
+  'date', 'plannedWork', 'actualWork', 'remarks', 'timeBlocks', 'totalHours',
+  'status', 'adminComments', 'approvalStage', 'locked', 'reviewedBy'
+];
+const PERIOD_FIELDS = ['status', 'adminComments', 'approvalStage', 'submittedAt', 'reviewedBy'];
+const USER_FIELDS = ['name', 'email', 'role', 'employeeId', 'departmentId', 'department', 'reportsTo', 'isActive'];
+
+// Plain JSON-safe copy of a value so ObjectIds, Dates and subdocuments compare by content
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Copy the tracked fields of a document before it is changed
+const snapshot = (doc, fields) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : doc || {};
+  return fields.reduce((acc, field) => {
+    acc[field] = plain(source[field]);
+    return acc;
+  }, {});
+};
+
+// Field-level differences between two snapshots
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => JSON.stringify(plain(before?.[field])) !== JSON.stringify(plain(after?.[field])))
+    .map(field => ({ field, from: plain(before?.[field]), to: plain(after?.[field]) }));
+};
+
+// Append an entry to the audit log. Failures are logged but never break the request.
+const recordAudit = async (req, { action, entityType, entityId, subject, before, after }) => {
+  try {
+    const changes = diffSnapshots(before, after);
+
+    // Nothing changed, nothing to record
+    if (action === 'update' && !changes.length) return null;
+
+    return await AuditLog.create({
+      action,
+      entityType,
+      entityId,
+      subject,
+      actor: req.user?._id,
+      actorName: req.user?.name || '',
+      actorRole: req.user?.role || '',
+      changes,
+      ip: req.ip || ''
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = { TIMESHEET_FIELDS, PERIOD_FIELDS, USER_FIELDS, snapshot, diffSnapshots, recordAudit };
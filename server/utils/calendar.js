@@ -0,0 +1,153 @@
+const Holiday = require('../models/Holiday');
+const LeaveRequest = require('../models/LeaveRequest');
+const { getTenantSettings } = require('./tenancy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekend days (0 = Sunday ... 6 = Saturday), Saturday and Sunday by default
+const getWeekendDays = () => {
+  const configured = (process.env.WEEKEND_DAYS || '0,6')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 6);
+
+  return configured;
+};
+
+// UTC midnight of the given date
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+// UTC midnight of the current date in the organization's time zone (UTC when none is set)
+const today = (timeZone = getTenantSettings().timezone || 'UTC') => {
+  const dayKey = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date());
+  return new Date(`${dayKey}T00:00:00.000Z`);
+};
+
+// "YYYY-MM-DD" key for a date
+const toDayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Every day from start to end, inclusive
+const eachDay = (startDate, endDate) => {
+  const days = [];
+  for (let day = startOfDay(startDate); day <= startOfDay(endDate); day = new Date(day.getTime() + DAY_MS)) {
+    days.push(day);
+  }
+  return days;
+};
+
+const isWeekend = (date, weekendDays = getWeekendDays()) => weekendDays.includes(new Date(date).getUTCDay());
+
+// Holidays between two dates as a Map of day key -> holiday
+const getHolidayMap = async (startDate, endDate) => {
+  const holidays = await Holiday.find({
+    date: { $gte: startOfDay(startDate), $lte: startOfDay(endDate) }
+  });
+
+  return new Map(holidays.map(holiday => [toDayKey(holiday.date), holiday]));
+};
+
+// Working days between two dates, skipping weekends and holidays
+const countWorkingDays = async (startDate, endDate) => {
+  const holidayMap = await getHolidayMap(startDate, endDate);
+  const weekendDays = getWeekendDays();
+
+  return eachDay(startDate, endDate)
+    .filter(day => !isWeekend(day, weekendDays) && !holidayMap.has(toDayKey(day)))
+    .length;
+};
+
+// Approved leave overlapping a date range, for one employee, several, or everyone (null)
+const findApprovedLeave = async (employee, startDate, endDate) => {
+  const query = {
+    status: 'approved',
+    startDate: { $lte: startOfDay(endDate) },
+    endDate: { $gte: startOfDay(startDate) }
+  };
+
+  if (employee) {
+    query.employee = employee;
+  }
+
+  return LeaveRequest.find(query).populate('leaveType', 'name code');
+};
+
+// Why an employee is off on a date: { holiday, leave } (either may be null)
+const getDayOff = async (employeeId, date) => {
+  const day = startOfDay(date);
+  const holiday = await Holiday.findOne({ date: day });
+  const [leave] = await findApprovedLeave(employeeId, day, day);
+
+  return { holiday: holiday || null, leave: leave || null };
+};
+
+// One row per day off, shaped like an exported timesheet row
+const getDayOffRows = async (employee, startDate, endDate, { includeHolidays = true, employeeName = '' } = {}) => {
+  const rows = [];
+  const leaveRequests = await findApprovedLeave(employee, startDate, endDate);
+  const holidayMap = includeHolidays ? await getHolidayMap(startDate, endDate) : new Map();
+  const weekendDays = getWeekendDays();
+  const rangeStart = startOfDay(startDate);
+  const rangeEnd = startOfDay(endDate);
+
+  leaveRequests.forEach(leave => {
+    eachDay(leave.startDate, leave.endDate)
+      .filter(day => day >= rangeStart && day <= rangeEnd)
+      .filter(day => !isWeekend(day, weekendDays) && !holidayMap.has(toDayKey(day)))
+      .forEach(day => rows.push({
+        employeeName: leave.employeeName,
+        date: day,
+        status: 'leave',
+        remarks: `${leave.leaveType?.name || 'Leave'}${leave.reason ? ` — ${leave.reason}` : ''}`
+      }));
+  });
+
+  holidayMap.forEach(holiday => rows.push({
+    employeeName,
+    date: holiday.date,
+    status: 'holiday',
+    remarks: holiday.name
+  }));
+
+  return rows.sort((a, b) => b.date - a.date);
+};
+
+// Day-off rows covering a set of timesheets: from the first timesheet (or startDate)
+// up to the last timesheet or today (or endDate), whichever is later
+const getDayOffRowsFor = async (employee, timesheets, { startDate, endDate, ...options } = {}) => {
+  const now = Date.now();
+  const first = timesheets.reduce((min, t) => Math.min(min, new Date(t.date).getTime()), now);
+  const last = timesheets.reduce((max, t) => Math.max(max, new Date(t.date).getTime()), now);
+  const start = startDate ? new Date(startDate) : new Date(first);
+  const end = endDate ? new Date(endDate) : new Date(last);
+
+  return getDayOffRows(employee, start, end, options);
+};
+
+const isDayOffRow = (row) => row.status === 'leave' || row.status === 'holiday';
+
+// Merge timesheet documents (or plain rows) with day-off rows, newest first unless ascending
+const mergeDayOffRows = (timesheets, daysOff, ascending = false) => {
+  return [...timesheets.map(t => (typeof t.toObject === 'function' ? t.toObject() : t)), ...daysOff]
+    .sort((a, b) => (ascending ? new Date(a.date) - new Date(b.date) : new Date(b.date) - new Date(a.date)));
+};
+
+module.exports = {
+  getWeekendDays,
+  startOfDay,
+  today,
+  toDayKey,
+  eachDay,
+  isWeekend,
+  getHolidayMap,
+  countWorkingDays,
+  findApprovedLeave,
+  getDayOff,
+  getDayOffRows,
+  getDayOffRowsFor,
+  isDayOffRow,
+  mergeDayOffRows
+};
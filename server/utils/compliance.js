@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const Timesheet = require('../models/Timesheet');
+const Reminder = require('../models/Reminder');
+const { getStaffRoleNames } = require('./permissions');
+const {
+  getWeekendDays,
+  startOfDay,
+  today,
+  toDayKey,
+  eachDay,
+  isWeekend,
+  getHolidayMap,
+  findApprovedLeave
+} = require('./calendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after the timesheet date before an entry counts as late (1 = by the end of the next day)
+const getLateGraceDays = () => {
+  const days = parseInt(process.env.LATE_SUBMISSION_GRACE_DAYS, 10);
+  return days >= 0 ? days : 1;
+};
+
+const isLateSubmission = (timesheet, graceDays = getLateGraceDays()) => {
+  const deadline = startOfDay(timesheet.date).getTime() + (graceDays + 1) * DAY_MS;
+  return new Date(timesheet.createdAt).getTime() > deadline;
+};
+
+// For each active employee in scope: working days without a timesheet, and late submissions.
+// `employeeIds` limits the report (null = everyone); `weekendDays` overrides the configured weekend.
+const getComplianceReport = async (startDate, endDate, { employeeIds = null, weekendDays = getWeekendDays() } = {}) => {
+  const start = startOfDay(startDate);
+  const end = startOfDay(endDate);
+
+  const employeeQuery = { role: { $in: await getStaffRoleNames() }, isActive: true };
+  if (employeeIds) {
+    employeeQuery._id = { $in: employeeIds };
+  }
+
+  const employees = await User.find(employeeQuery)
+    .select('name email employeeId department createdAt')
+    .sort({ name: 1 });
+
+  const holidayMap = await getHolidayMap(start, end);
+  const workingDays = eachDay(start, end)
+    .filter(day => !isWeekend(day, weekendDays) && !holidayMap.has(toDayKey(day)));
+
+  const [timesheets, leave] = await Promise.all([
+    Timesheet.find({
+      employee: { $in: employees.map(e => e._id) },
+      date: { $gte: start, $lt: new Date(end.getTime() + DAY_MS) }
+    }).select('employee date createdAt status'),
+    findApprovedLeave(employees.map(e => e._id), start, end)
+  ]);
+
+  const graceDays = getLateGraceDays();
+
+  return employees.map(employee => {
+    const id = String(employee._id);
+    const own = timesheets.filter(t => String(t.employee) === id);
+    const submittedDays = new Set(own.map(t => toDayKey(t.date)));
+
+    const leaveDays = new Set();
+    leave
+      .filter(l => String(l.employee) === id)
+      .forEach(l => eachDay(l.startDate, l.endDate).forEach(day => leaveDays.add(toDayKey(day))));
+
+    // Days before the account existed are not expected
+    const joined = startOfDay(employee.createdAt);
+    const expectedDays = workingDays.filter(day => day >= joined && !leaveDays.has(toDayKey(day)));
+
+    const missingDates = expectedDays
+      .map(toDayKey)
+      .filter(key => !submittedDays.has(key));
+
+    const lateSubmissions = own
+      .filter(t => isLateSubmission(t, graceDays))
+      .map(t => ({
+        timesheetId: t._id,
+        date: toDayKey(t.date),
+        submittedAt: t.createdAt,
+        daysLate: Math.floor((new Date(t.createdAt) - startOfDay(t.date)) / DAY_MS) - graceDays
+      }));
+
+    return {
+      employee: {
+        _id: employee._id,
+        name: employee.name,
+        email: employee.email,
+        employeeId: employee.employeeId,
+        department: employee.department
+      },
+      expectedDays: expectedDays.length,
+      submittedDays: expectedDays.length - missingDates.length,
+      missingDates,
+      lateSubmissions
+    };
+  });
+};
+
+// Store a reminder for every missing day in the range and resolve the ones that were filled in
+const generateReminders = async (startDate, endDate) => {
+  const report = await getComplianceReport(startDate, endDate);
+  let created = 0;
+
+  for (const row of report) {
+    for (const day of row.missingDates) {
+      const result = await Reminder.updateOne(
+        { employee: row.employee._id, date: new Date(day), type: 'missing' },
+        {
+          $setOnInsert: {
+            message: `No timesheet submitted for ${day}`
+          }
+        },
+        { upsert: true }
+      );
+      created += result.upsertedCount;
+    }
+
+    await Reminder.updateMany(
+      {
+        employee: row.employee._id,
+        type: 'missing',
+        resolvedAt: null,
+        date: { $gte: startOfDay(startDate), $lte: startOfDay(endDate), $nin: row.missingDates.map(d => new Date(d)) }
+      },
+      { resolvedAt: new Date() }
+    );
+  }
+
+  return { employees: report.length, created };
+};
+
+// Daily job: look back over recent working days, ending yesterday
+const runComplianceJob = async () => {
+  const lookbackDays = parseInt(process.env.COMPLIANCE_LOOKBACK_DAYS, 10) || 7;
+  const end = new Date(today().getTime() - DAY_MS);
+  const start = new Date(end.getTime() - (lookbackDays - 1) * DAY_MS);
+
+  return generateReminders(start, end);
+};
+
+module.exports = { getLateGraceDays, isLateSubmission, getComplianceReport, generateReminders, runComplianceJob };
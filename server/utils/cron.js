@@ -0,0 +1,138 @@
+// Small cron-expression parser for report schedules: five fields (minute hour day-of-month
+// month day-of-week) with *, lists, ranges and steps, "L" for the last day of the month,
+// and the @daily/@weekly/@monthly shorthands. All times are UTC.
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 1',
+  '@monthly': '0 0 1 * *',
+  '@month-end': '0 0 L * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Expand one field ("*/15", "1-5", "0,30") into the set of values it allows
+const parseField = (value, { name, min, max }) => {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${value}`);
+    }
+
+    const step = match[3] ? Number(match[3]) : 1;
+    const start = match[1] === '*' ? min : Number(match[1]);
+    // "5/10" means from 5 to the end of the range
+    const end = match[2] ? Number(match[2]) : (match[1] === '*' || match[3] ? max : start);
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: ${value}`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      allowed.add(i);
+    }
+  }
+
+  return allowed;
+};
+
+// Parse an expression into sets of allowed values, throwing a readable error if it is invalid
+const parseCron = (expression) => {
+  const source = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cadence must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const lastDayOfMonth = parts[2] === 'L';
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+    (index === 2 && lastDayOfMonth ? null : parseField(part, FIELDS[index]))
+  );
+
+  // 7 is Sunday too
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    lastDayOfMonth,
+    // Standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (cron, date) => {
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  const dayOfMonth = cron.lastDayOfMonth
+    ? date.getUTCDate() === lastDay
+    : cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  if (cron.dayOfMonthRestricted) return dayOfMonth;
+  if (cron.dayOfWeekRestricted) return dayOfWeek;
+  return true;
+};
+
+// The first time strictly after `from` that matches the expression (null if none within 5 years)
+const nextCronTime = (expression, from = new Date()) => {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = { parseCron, isValidCron, nextCronTime };
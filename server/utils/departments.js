@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { restrictEmployeeQuery } = require('./approvals');
+
+// Find a department by id or by name (any case), or null
+const resolveDepartment = async (value) => {
+  if (!value) return null;
+
+  if (mongoose.isValidObjectId(value)) {
+    const department = await Department.findById(value);
+    if (department) return department;
+  }
+
+  return Department.findOne({ nameKey: Department.toNameKey(value) });
+};
+
+// IDs of the users in a department
+const getDepartmentEmployeeIds = (departmentId) => User.find({ departmentId }).distinct('_id');
+
+// Apply a ?department= filter (id or name) to a query's `employee` condition.
+// An unknown department matches nothing rather than being ignored.
+const filterByDepartment = async (query, department) => {
+  if (!department || department === 'all') return query;
+
+  const found = await resolveDepartment(department);
+  return restrictEmployeeQuery(query, found ? await getDepartmentEmployeeIds(found._id) : []);
+};
+
+// Turn the free-text department names on users and invitations into Department records.
+// Names that differ only in case or spacing share one department, named after the most common spelling.
+const migrateDepartmentNames = async () => {
+  const [userNames, invitationNames] = await Promise.all([
+    User.aggregate([
+      { $match: { department: { $nin: [null, ''] }, departmentId: { $exists: false } } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]),
+    Invitation.aggregate([
+      { $match: { department: { $nin: [null, ''] }, departmentId: { $exists: false } } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const groups = new Map();
+  for (const { _id: name, count } of [...userNames, ...invitationNames]) {
+    const key = Department.toNameKey(name);
+    if (!key) continue;
+
+    const group = groups.get(key) || { spellings: new Map() };
+    group.spellings.set(name, (group.spellings.get(name) || 0) + count);
+    groups.set(key, group);
+  }
+
+  const summary = { created: 0, existing: 0, users: 0, invitations: 0 };
+
+  for (const [nameKey, { spellings }] of groups) {
+    let department = await Department.findOne({ nameKey });
+
+    if (department) {
+      summary.existing += 1;
+    } else {
+      const [name] = [...spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+      department = await Department.create({ name });
+      summary.created += 1;
+    }
+
+    const names = [...spellings.keys()];
+    const update = { $set: { departmentId: department._id, department: department.name } };
+
+    const users = await User.updateMany({ department: { $in: names }, departmentId: { $exists: false } }, update);
+    const invitations = await Invitation.updateMany({ department: { $in: names }, departmentId: { $exists: false } }, update);
+
+    summary.users += users.modifiedCount;
+    summary.invitations += invitations.modifiedCount;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  resolveDepartment,
+  getDepartmentEmployeeIds,
+  filterByDepartment,
+  migrateDepartmentNames
+};
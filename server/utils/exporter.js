@@ -0,0 +1,266 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Transform: CsvTransform } = require('json2csv');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Timesheet = require('../models/Timesheet');
+const { getDayOffRows, isDayOffRow, toDayKey } = require('./calendar');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const formatDate = (value) => (value ? toDayKey(value) : '');
+const formatTimestamp = (value) => (value ? new Date(value).toISOString() : '');
+
+// Every column an export can include, with its label and how to read it from a timesheet
+const EXPORT_COLUMNS = {
+  employeeName: { label: 'Employee', value: t => t.employee?.name || t.employeeName || '' },
+  employeeEmail: { label: 'Email', value: t => t.employee?.email || '' },
+  employeeId: { label: 'Employee ID', value: t => t.employee?.employeeId || '' },
+  department: { label: 'Department', value: t => t.employee?.department || '' },
+  date: { label: 'Date', value: t => formatDate(t.date) },
+  plannedWork: { label: 'Planned Work', value: t => t.plannedWork || '' },
+  actualWork: { label: 'Actual Work', value: t => t.actualWork || '' },
+  totalHours: { label: 'Total Hours', value: t => t.totalHours || 0 },
+  projects: {
+    label: 'Projects',
+    value: t => [...new Set((t.timeBlocks || []).map(b => b.project?.code).filter(Boolean))].join(', ')
+  },
+  remarks: { label: 'Remarks', value: t => t.remarks || '' },
+  status: { label: 'Status', value: t => t.status || '' },
+  approvalStage: { label: 'Approval Stage', value: t => t.approvalStage || '' },
+  adminComments: { label: 'Admin Comments', value: t => t.adminComments || '' },
+  reviewedBy: { label: 'Reviewed By', value: t => t.reviewedBy?.name || '' },
+  reviewedAt: { label: 'Reviewed At', value: t => formatTimestamp(t.reviewedAt) },
+  createdAt: { label: 'Submitted At', value: t => formatTimestamp(t.createdAt) }
+};
+
+const DEFAULT_COLUMNS = [
+  'employeeName', 'date', 'plannedWork', 'actualWork', 'totalHours', 'remarks', 'status', 'adminComments'
+];
+
+// Columns from ?columns=date,status in the order given. Returns { columns } or { error }.
+const parseColumns = (columns, defaults = DEFAULT_COLUMNS) => {
+  if (!columns) return { columns: defaults };
+
+  const requested = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = requested.filter(column => !EXPORT_COLUMNS[column]);
+
+  if (unknown.length) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+
+  return { columns: requested.length ? [...new Set(requested)] : defaults };
+};
+
+// Format and columns from an export request. Returns { format, columns } or { error }.
+const parseExportRequest = ({ format = 'csv', columns } = {}, defaultColumns = DEFAULT_COLUMNS) => {
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const parsed = parseColumns(columns, defaultColumns);
+  return parsed.error ? parsed : { format, columns: parsed.columns };
+};
+
+// Earliest and latest date matched by a query, without loading the documents
+const getDateBounds = async (query) => {
+  const [first, last] = await Promise.all([
+    Timesheet.findOne(query).sort({ date: 1 }).select('date').lean(),
+    Timesheet.findOne(query).sort({ date: -1 }).select('date').lean()
+  ]);
+
+  return { first: first?.date || null, last: last?.date || null };
+};
+
+// Leave and holiday rows for an export: within the requested range, or from the first
+// matched timesheet to the later of the last one and today
+const getExportDaysOff = async (query, { employee, startDate, endDate, includeHolidays = true, employeeName = '' }) => {
+  const now = new Date();
+  let start = startDate ? new Date(startDate) : null;
+  let end = endDate ? new Date(endDate) : null;
+
+  if (!start || !end) {
+    const { first, last } = await getDateBounds(query);
+    start = start || (first && first < now ? first : now);
+    end = end || (last && last > now ? last : now);
+  }
+
+  return getDayOffRows(employee, start, end, { includeHolidays, employeeName });
+};
+
+// Timesheets matching the query, one at a time from a cursor, with the day-off rows
+// merged in by date. Yields plain rows keyed by column.
+async function* exportRows(query, { columns, ascending = false, daysOff = [] }) {
+  const pending = [...daysOff].sort((a, b) => (ascending ? a.date - b.date : b.date - a.date));
+  const comesFirst = (row, doc) => (ascending ? row.date < doc.date : row.date > doc.date);
+
+  const toRow = (source) => {
+    const row = columns.reduce((acc, column) => {
+      acc[column] = EXPORT_COLUMNS[column].value(source);
+      return acc;
+    }, {});
+
+    // PDF layouts print leave and holidays differently
+    Object.defineProperty(row, 'dayOff', { value: isDayOffRow(source) ? source : null });
+    return row;
+  };
+
+  const cursor = Timesheet.find(query)
+    .sort({ date: ascending ? 1 : -1, _id: 1 })
+    .populate('employee', 'name email employeeId department')
+    .populate('reviewedBy', 'name')
+    .populate('timeBlocks.project', 'code')
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  for await (const timesheet of cursor) {
+    while (pending.length && comesFirst(pending[0], timesheet)) {
+      yield toRow(pending.shift());
+    }
+
+    yield toRow(timesheet);
+  }
+
+  for (const row of pending) {
+    yield toRow(row);
+  }
+}
+
+const writers = {
+  csv: (rows, res, { columns }) => pipeline(
+    Readable.from(rows),
+    new CsvTransform({ fields: columns }, { objectMode: true }),
+    res
+  ),
+
+  jsonl: (rows, res) => pipeline(
+    Readable.from(rows),
+    async function* (source) {
+      for await (const row of source) {
+        yield `${JSON.stringify(row)}\n`;
+      }
+    },
+    res
+  ),
+
+  xlsx: async (rows, res, { columns, labels, title }) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(title.slice(0, 31) || 'Timesheets');
+
+    sheet.columns = columns.map(column => ({ header: labels[column] || column, key: column, width: 20 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const row of rows) {
+      sheet.addRow(row).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  },
+
+  pdf: async (rows, res, { columns, labels, title }) => {
+    const doc = new PDFDocument();
+    const finished = pipeline(doc, res);
+
+    doc.fontSize(18).text(title, { align: 'center' }).moveDown();
+
+    let count = 0;
+    for await (const row of rows) {
+      count += 1;
+      doc.fontSize(12);
+
+      if (row.dayOff) {
+        doc.text(`Date: ${formatDate(row.dayOff.date)}`)
+          .text(`${row.dayOff.status === 'leave' ? 'Leave' : 'Holiday'}: ${row.dayOff.remarks}`)
+          .moveDown();
+        continue;
+      }
+
+      columns.forEach(column => {
+        doc.text(`${labels[column] || column}: ${row[column] === '' || row[column] === null ? '-' : row[column]}`);
+      });
+      doc.moveDown();
+    }
+
+    if (!count) {
+      doc.fontSize(12).text('No records found.');
+    }
+
+    doc.end();
+    await finished;
+  }
+};
+
+const TIMESHEET_LABELS = Object.fromEntries(Object.entries(EXPORT_COLUMNS).map(([key, column]) => [key, column.label]));
+
+// Write rows (any iterable or async iterable of plain objects) to a stream in the chosen
+// format. `labels` names the columns in XLSX and PDF output; CSV and JSON Lines use the keys.
+const writeRows = (stream, rows, { format, columns, labels = {}, title = 'Report' }) => {
+  return writers[format](rows, stream, { columns, labels, title });
+};
+
+// Write the timesheets matching a query to any writable stream (a response or a file)
+const writeTimesheetExport = (stream, {
+  query,
+  format = 'csv',
+  columns = DEFAULT_COLUMNS,
+  title = 'Timesheet Report',
+  ascending = false,
+  daysOff = []
+}) => {
+  return writeRows(stream, exportRows(query, { columns, ascending, daysOff }), {
+    format,
+    columns,
+    labels: TIMESHEET_LABELS,
+    title
+  });
+};
+
+// Send a download, written by `write(res)`, as `filename` in the chosen format.
+// Errors before anything is sent are thrown to the caller; once the download has
+// started the response can only be cut short.
+const streamDownload = async (res, { filename, format = 'csv' }, write) => {
+  const settings = EXPORT_FORMATS[format];
+
+  res.setHeader('Content-Type', settings.contentType);
+  res.attachment(`${filename}.${settings.extension}`);
+
+  try {
+    await write(res);
+  } catch (error) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+
+    console.error('Export stream error:', error);
+    res.destroy(error);
+  }
+};
+
+// Stream the timesheets matching a query to the response in the chosen format
+const streamTimesheetExport = (res, { filename = 'timesheets', ...options }) =>
+  streamDownload(res, { filename, format: options.format }, stream => writeTimesheetExport(stream, options));
+
+// Stream rows (an iterable or async iterable, e.g. from a cursor) to the response
+const streamRowsExport = (res, rows, { filename, ...options }) =>
+  streamDownload(res, { filename, format: options.format }, stream => writeRows(stream, rows, options));
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  parseExportRequest,
+  getExportDaysOff,
+  writeRows,
+  writeTimesheetExport,
+  streamTimesheetExport,
+  streamRowsExport
+};
@@ -0,0 +1,496 @@
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const Timesheet = require('../models/Timesheet');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const Project = require('../models/Project');
+const { generateSecret } = require('./tokens');
+const { getInitialStage } = require('./approvals');
+const { getLineManagerRoleNames } = require('./permissions');
+const { resolveDepartment } = require('./departments');
+const { getWeekRange, isPeriodLocked, findOrCreatePeriod, syncPeriodStatus } = require('./periods');
+const { normalizeTimeBlocks, minutesToHours } = require('./timeBlocks');
+const { startOfDay } = require('./calendar');
+const { TIMESHEET_FIELDS, USER_FIELDS, snapshot, diffSnapshots, recordAudit } = require('./audit');
+
+const MAX_IMPORT_ROWS = 5000;
+
+const XLSX_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+];
+
+// Columns each import understands; the first listed are required
+const IMPORT_FIELDS = {
+  employees: {
+    required: ['name', 'email'],
+    optional: ['employeeId', 'department', 'role', 'reportsTo', 'password', 'isActive']
+  },
+  timesheets: {
+    required: ['employee', 'date', 'plannedWork', 'actualWork'],
+    optional: ['remarks', 'status', 'adminComments', 'hours', 'minutes', 'startTime', 'endTime', 'project', 'description']
+  }
+};
+
+// "csv" or "xlsx", from ?format= or the upload's content type
+const detectFormat = (req) => {
+  const format = String(req.query.format || '').toLowerCase();
+  if (format === 'csv' || format === 'xlsx') return format;
+
+  return XLSX_TYPES.includes(req.headers['content-type']) ? 'xlsx' : 'csv';
+};
+
+// Plain text for a spreadsheet cell (formulas, rich text and hyperlinks reduced to their value)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return String(value).trim();
+  if (value.result !== undefined) return cellText(value.result);
+  if (value.text !== undefined) return cellText(value.text);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+  return String(value).trim();
+};
+
+// Parse an uploaded file into one object per data row, keyed by the header row.
+// Each row keeps its 1-based line number in the file for error reporting.
+const parseUpload = async (buffer, format) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = String(cellText(cell.value));
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const record = { _line: rowNumber };
+      headers.forEach((header, column) => {
+        if (header) record[header] = cellText(row.getCell(column).value);
+      });
+      rows.push(record);
+    });
+
+    return rows;
+  }
+
+  const records = parse(buffer, {
+    columns: true,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  });
+
+  return records.map(({ record, info }) => ({ ...record, _line: info.lines }));
+};
+
+// "Employee ID", "employee_id" and "employeeId" all name the same column
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Pick our fields out of a parsed row. `mapping` maps a field to the file's column header;
+// unmapped fields fall back to a column with the same name.
+const applyMapping = (record, fields, mapping = {}) => {
+  const columns = Object.keys(record).filter(key => key !== '_line');
+  const byHeader = new Map(columns.map(column => [normalizeHeader(column), column]));
+
+  return fields.reduce((row, field) => {
+    const column = mapping[field] !== undefined
+      ? byHeader.get(normalizeHeader(mapping[field]))
+      : byHeader.get(normalizeHeader(field));
+    const value = column !== undefined ? record[column] : '';
+
+    row[field] = value instanceof Date ? value : String(value ?? '').trim();
+    return row;
+  }, { line: record._line });
+};
+
+// Column mapping from the query string, as mapping[email]=Work Email or a JSON object
+const parseMapping = (mapping) => {
+  if (!mapping) return {};
+  if (typeof mapping === 'object') return mapping;
+
+  try {
+    const parsed = JSON.parse(mapping);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Spreadsheet dates arrive as Date cells or text; anything else is rejected
+const parseDate = (value) => {
+  if (!value) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : startOfDay(date);
+};
+
+const parseBoolean = (value) => {
+  if (value === '') return undefined;
+  return !['false', 'no', '0', 'inactive'].includes(String(value).toLowerCase());
+};
+
+// Find a user by email or employee ID
+const findUserByReference = (reference) => {
+  const value = String(reference).trim();
+  return User.findOne({ $or: [{ email: value.toLowerCase() }, { employeeId: value }] });
+};
+
+// Dry runs count would_create and would_update as created and updated
+const summarize = (results) => results.reduce((summary, item) => {
+  const key = item.result.replace(/^would_(.*)$/, '$1d');
+  summary[key] = (summary[key] || 0) + 1;
+  return summary;
+}, { total: results.length, created: 0, updated: 0, unchanged: 0, failed: 0 });
+
+// Create or update employees, keyed on email and then employee ID, so running the same
+// file twice changes nothing. New users without a password column get a random one and
+// set their own through the forgot-password flow.
+const importEmployees = async (req, rows, { dryRun }) => {
+  const results = [];
+  const seen = new Map();
+  // Managers created earlier in the same file can be referenced by later rows
+  const plannedManagers = new Set();
+  const lineManagerRoles = await getLineManagerRoleNames();
+
+  for (const row of rows) {
+    const errors = [];
+    const email = row.email.toLowerCase();
+    const item = { line: row.line, email };
+
+    if (!row.name) errors.push('Name is required');
+    if (!email) errors.push('Email is required');
+    else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Email is not valid');
+
+    if (row.role && !['employee', 'manager'].includes(row.role.toLowerCase())) {
+      errors.push('Role must be employee or manager');
+    }
+
+    if (row.password && row.password.length < 6) {
+      errors.push('Password must be at least 6 characters');
+    }
+
+    const key = email || row.employeeId;
+    if (key && seen.has(key)) {
+      errors.push(`Duplicate of line ${seen.get(key)}`);
+    }
+
+    let existing = null;
+    if (email) {
+      existing = await User.findOne({ email });
+
+      // Email addresses are unique across all organizations
+      if (!existing && await User.exists({ email }).setOptions({ allOrganizations: true })) {
+        errors.push('Email belongs to another organization');
+      }
+    }
+    if (!existing && row.employeeId) {
+      existing = await User.findOne({ employeeId: row.employeeId });
+    }
+
+    if (existing && existing.role === 'admin') {
+      errors.push('Admin accounts cannot be changed by an import');
+    }
+
+    if (row.employeeId) {
+      const clash = await User.findOne({ employeeId: row.employeeId });
+      if (clash && (!existing || String(clash._id) !== String(existing._id))) {
+        errors.push(`Employee ID ${row.employeeId} belongs to ${clash.email}`);
+      }
+    }
+
+    let department = null;
+    if (row.department) {
+      department = await resolveDepartment(row.department);
+      if (!department) errors.push(`Department ${row.department} not found`);
+    }
+
+    let reportsTo;
+    if (row.reportsTo) {
+      const manager = await findUserByReference(row.reportsTo);
+
+      if (manager && manager.isActive && lineManagerRoles.includes(manager.role)) {
+        reportsTo = manager._id;
+      } else if (!plannedManagers.has(row.reportsTo.toLowerCase())) {
+        errors.push(`Line manager ${row.reportsTo} not found`);
+      }
+
+      if (existing && reportsTo && String(reportsTo) === String(existing._id)) {
+        errors.push('An employee cannot report to themselves');
+      }
+    }
+
+    if (key) seen.set(key, row.line);
+
+    if (errors.length) {
+      results.push({ ...item, result: 'failed', errors });
+      continue;
+    }
+
+    if (lineManagerRoles.includes(row.role.toLowerCase() || existing?.role)) {
+      plannedManagers.add(email);
+      if (row.employeeId) plannedManagers.add(row.employeeId.toLowerCase());
+    }
+
+    const user = existing || new User({ password: row.password || generateSecret(16) });
+    const before = existing ? snapshot(user, USER_FIELDS) : {};
+
+    user.name = row.name;
+    user.email = email;
+    if (row.employeeId) user.employeeId = row.employeeId;
+    if (department) {
+      user.departmentId = department._id;
+      user.department = department.name;
+    }
+    if (row.role) user.role = row.role.toLowerCase();
+    if (row.isActive !== '') user.isActive = parseBoolean(row.isActive);
+    if (row.reportsTo) user.reportsTo = reportsTo;
+
+    // Passwords of existing users are never overwritten by an import
+    const after = snapshot(user, USER_FIELDS);
+    const changes = existing ? diffSnapshots(before, after) : [];
+
+    if (existing && !changes.length) {
+      results.push({ ...item, id: String(user._id), result: 'unchanged' });
+      continue;
+    }
+
+    if (dryRun) {
+      results.push(existing
+        ? { ...item, id: String(user._id), result: 'would_update', changes: changes.map(c => c.field) }
+        : { ...item, result: 'would_create' });
+      continue;
+    }
+
+    try {
+      await user.save();
+    } catch (error) {
+      results.push({ ...item, result: 'failed', errors: [error.message] });
+      continue;
+    }
+
+    // Managers named by later rows resolve from the database from here on
+    if (reportsTo === undefined && row.reportsTo) {
+      const manager = await findUserByReference(row.reportsTo);
+      if (manager) {
+        user.reportsTo = manager._id;
+        await user.save();
+      }
+    }
+
+    await recordAudit(req, {
+      action: existing ? 'update' : 'create',
+      entityType: 'User',
+      entityId: user._id,
+      subject: user._id,
+      before,
+      after: snapshot(user, USER_FIELDS)
+    });
+
+    results.push(existing
+      ? { ...item, id: String(user._id), result: 'updated', changes: changes.map(c => c.field) }
+      : { ...item, id: String(user._id), result: 'created' });
+  }
+
+  return { summary: summarize(results), results };
+};
+
+// The single time block a timesheet row describes, if it has hours, minutes or start/end times
+const buildImportBlock = (row, projectId) => {
+  const minutes = row.minutes !== '' ? Number(row.minutes) : row.hours !== '' ? Math.round(Number(row.hours) * 60) : null;
+
+  if (!row.startTime && !row.endTime && minutes === null) return [];
+
+  return [{
+    startTime: row.startTime || undefined,
+    endTime: row.endTime || undefined,
+    duration: minutes,
+    description: row.description || row.actualWork,
+    project: projectId
+  }];
+};
+
+// Create or update timesheets keyed on { employee, date }. Rows without a status go into the
+// review queue at the start of the approval chain; a status of accepted or rejected is
+// recorded as decided by the importing admin. Weeks that are submitted or accepted, and days
+// already accepted or locked, are left alone unless overwriteLocked is set.
+const importTimesheets = async (req, rows, { dryRun, overwriteLocked = false }) => {
+  const results = [];
+  const seen = new Map();
+  const touchedPeriods = new Set();
+  const users = new Map();
+  const projects = new Map();
+
+  for (const row of rows) {
+    const errors = [];
+    const item = { line: row.line, employee: row.employee };
+    const date = parseDate(row.date);
+    const status = (row.status || 'pending').toLowerCase();
+
+    if (!row.employee) errors.push('Employee is required');
+    if (!date) errors.push('Date is missing or not valid');
+    if (!row.plannedWork) errors.push('Planned work is required');
+    if (!row.actualWork) errors.push('Actual work is required');
+
+    if (!['pending', 'accepted', 'rejected'].includes(status)) {
+      errors.push('Status must be pending, accepted or rejected');
+    }
+
+    let employee = null;
+    if (row.employee) {
+      const reference = row.employee.toLowerCase();
+      if (!users.has(reference)) {
+        users.set(reference, await findUserByReference(row.employee));
+      }
+
+      employee = users.get(reference);
+      if (!employee) errors.push(`Employee ${row.employee} not found`);
+    }
+
+    let projectId;
+    if (row.project) {
+      const code = row.project.toUpperCase();
+      if (!projects.has(code)) {
+        projects.set(code, await Project.findOne({ code }));
+      }
+
+      const project = projects.get(code);
+      if (project) projectId = project._id;
+      else errors.push(`Project ${row.project} not found`);
+    }
+
+    const blockResult = normalizeTimeBlocks(buildImportBlock(row, projectId));
+    if (blockResult.error) errors.push(blockResult.error);
+
+    if (date) item.date = date;
+
+    if (employee && date) {
+      const key = `${employee._id}:${date.getTime()}`;
+      if (seen.has(key)) errors.push(`Duplicate of line ${seen.get(key)}`);
+      seen.set(key, row.line);
+    }
+
+    if (errors.length) {
+      results.push({ ...item, result: 'failed', errors });
+      continue;
+    }
+
+    const existing = await Timesheet.findOne({ employee: employee._id, date });
+    const previousStatus = existing?.status;
+
+    const timesheet = existing || new Timesheet({
+      employee: employee._id,
+      employeeName: employee.name,
+      date
+    });
+    const before = existing ? snapshot(timesheet, TIMESHEET_FIELDS) : {};
+
+    timesheet.plannedWork = row.plannedWork;
+    timesheet.actualWork = row.actualWork;
+    timesheet.remarks = row.remarks;
+    timesheet.timeBlocks = blockResult.blocks;
+    timesheet.totalMinutes = blockResult.totalMinutes;
+    timesheet.totalHours = minutesToHours(blockResult.totalMinutes);
+
+    // New days start their approval chain even though pending is already the default
+    if (!existing || timesheet.status !== status) {
+      timesheet.status = status;
+
+      if (status === 'pending') {
+        timesheet.approvalStage = await getInitialStage(employee);
+        timesheet.reviewedBy = undefined;
+        timesheet.reviewedAt = undefined;
+      } else {
+        timesheet.approvalStage = 'complete';
+        timesheet.reviewedBy = req.user._id;
+        timesheet.reviewedAt = new Date();
+      }
+    }
+
+    if (row.adminComments) timesheet.adminComments = row.adminComments;
+
+    const changes = existing ? diffSnapshots(before, snapshot(timesheet, TIMESHEET_FIELDS)) : [];
+
+    // A row matching what is stored is unchanged even in a locked week, so re-running a file
+    // reports nothing to do
+    if (existing && !changes.length) {
+      results.push({ ...item, id: String(timesheet._id), result: 'unchanged' });
+      continue;
+    }
+
+    if (!overwriteLocked) {
+      const period = existing?.period
+        ? await TimesheetPeriod.findById(existing.period)
+        : await TimesheetPeriod.findOne({ employee: employee._id, startDate: getWeekRange(date).startDate });
+
+      if (period && isPeriodLocked(period)) {
+        results.push({ ...item, result: 'failed', errors: [`Week is already ${period.status}`] });
+        continue;
+      }
+
+      if (existing && (previousStatus === 'accepted' || existing.locked)) {
+        results.push({ ...item, id: String(existing._id), result: 'failed', errors: [`Timesheet is already ${existing.locked ? 'locked' : 'accepted'}`] });
+        continue;
+      }
+    }
+
+    if (dryRun) {
+      results.push(existing
+        ? { ...item, id: String(timesheet._id), result: 'would_update', changes: changes.map(c => c.field) }
+        : { ...item, result: 'would_create' });
+      continue;
+    }
+
+    try {
+      if (!timesheet.period) {
+        const period = await findOrCreatePeriod(employee, date);
+        timesheet.period = period._id;
+      }
+
+      await timesheet.save();
+    } catch (error) {
+      results.push({ ...item, result: 'failed', errors: [error.message] });
+      continue;
+    }
+
+    touchedPeriods.add(String(timesheet.period));
+
+    await recordAudit(req, {
+      action: existing ? 'update' : 'create',
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      subject: timesheet.employee,
+      before,
+      after: snapshot(timesheet, TIMESHEET_FIELDS)
+    });
+
+    results.push(existing
+      ? { ...item, id: String(timesheet._id), result: 'updated', changes: changes.map(c => c.field) }
+      : { ...item, id: String(timesheet._id), result: 'created' });
+  }
+
+  for (const periodId of touchedPeriods) {
+    await syncPeriodStatus(periodId);
+  }
+
+  return { summary: summarize(results), results };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  detectFormat,
+  parseUpload,
+  parseMapping,
+  applyMapping,
+  importEmployees,
+  importTimesheets
+};
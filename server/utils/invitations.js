@@ -0,0 +1,36 @@
+const Invitation = require('../models/Invitation');
+const { generateSecret, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+// Open self-registration is off unless explicitly enabled
+const isOpenRegistrationEnabled = () => process.env.ALLOW_OPEN_REGISTRATION === 'true';
+
+// Give an invitation a fresh token and expiry, and email the link to the invitee
+const issueInvitation = async (invitation) => {
+  const token = generateSecret(32);
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await invitation.save();
+
+  const acceptUrl = `${process.env.APP_URL || 'http://localhost:3000'}/accept-invite?token=${token}`;
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to the timesheet app',
+    text: `Hi ${invitation.name || 'there'},\n\nYou have been invited to join the timesheet app. ` +
+      `Use the link below to set your password. It expires in ${INVITE_TTL_DAYS} days.\n\n${acceptUrl}`
+  });
+
+  return invitation;
+};
+
+// Find a pending, unexpired invitation by its raw token
+const findUsableInvitation = async (token) => {
+  if (!token) return null;
+
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+  return invitation && invitation.isUsable() ? invitation : null;
+};
+
+module.exports = { isOpenRegistrationEnabled, issueInvitation, findUsableInvitation };
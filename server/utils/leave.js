@@ -0,0 +1,47 @@
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveBalance = require('../models/LeaveBalance');
+
+const yearRange = (year) => ({
+  start: new Date(Date.UTC(year, 0, 1)),
+  end: new Date(Date.UTC(year, 11, 31, 23, 59, 59, 999))
+});
+
+// Allocated, used, pending and remaining days per active leave type for one employee and year.
+// Leave is counted against the year it starts in.
+const getLeaveBalances = async (employeeId, year) => {
+  const { start, end } = yearRange(year);
+
+  const [leaveTypes, overrides, requests] = await Promise.all([
+    LeaveType.find({ isActive: true }).sort({ name: 1 }),
+    LeaveBalance.find({ employee: employeeId, year }),
+    LeaveRequest.find({
+      employee: employeeId,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $gte: start, $lte: end }
+    })
+  ]);
+
+  return leaveTypes.map(leaveType => {
+    const override = overrides.find(o => String(o.leaveType) === String(leaveType._id));
+    const ofType = requests.filter(r => String(r.leaveType) === String(leaveType._id));
+    const sumDays = status => ofType.filter(r => r.status === status).reduce((sum, r) => sum + r.days, 0);
+
+    const allocated = override ? override.allocated : leaveType.annualAllowance;
+    const used = sumDays('approved');
+    const pending = sumDays('pending');
+
+    return {
+      leaveType: { _id: leaveType._id, name: leaveType.name, code: leaveType.code, paid: leaveType.paid },
+      year,
+      allocated,
+      used,
+      pending,
+      // A type's allowance of 0 means it is not capped; an employee's own allocation,
+      // even 0, always is
+      remaining: override || allocated > 0 ? allocated - used - pending : null
+    };
+  });
+};
+
+module.exports = { getLeaveBalances };
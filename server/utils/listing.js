@@ -0,0 +1,115 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Parse ?sort=-date,employeeName into a Mongo sort object, keeping only allowed fields
+const parseSort = (sort, allowedFields, defaultSort) => {
+  if (!sort) return defaultSort;
+
+  const parsed = {};
+  String(sort).split(',').forEach(part => {
+    const field = part.trim().replace(/^[-+]/, '');
+    if (allowedFields.includes(field)) {
+      parsed[field] = part.trim().startsWith('-') ? -1 : 1;
+    }
+  });
+
+  if (!Object.keys(parsed).length) return defaultSort;
+
+  // Tie-break on _id so pages are stable
+  parsed._id = parsed._id || -1;
+  return parsed;
+};
+
+// Parse ?fields=date,status into a projection string, keeping only allowed fields
+const parseFields = (fields, allowedFields) => {
+  if (!fields) return null;
+
+  const selected = String(fields)
+    .split(',')
+    .map(field => field.trim())
+    .filter(field => allowedFields.includes(field));
+
+  return selected.length ? selected.join(' ') : null;
+};
+
+// Read page/limit/sort/fields from a query string. Pagination is opt-in: without
+// `page` or `limit` the caller gets every match, as before.
+const parseListOptions = (query, { sortFields, defaultSort, selectableFields }) => {
+  const paginated = query.page !== undefined || query.limit !== undefined;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return {
+    paginated,
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort: parseSort(query.sort, sortFields, defaultSort),
+    select: parseFields(query.fields, selectableFields)
+  };
+};
+
+// Whether a projection (null = everything) includes a path, for conditional populate
+const isSelected = (select, path) => !select || select.split(' ').includes(path);
+
+// Run a find with the parsed options and shape the response. Paginated responses are
+// { data, pagination }; otherwise the plain array. `prepare` adds populate calls.
+const findWithListOptions = async (Model, filter, options, prepare = q => q) => {
+  let query = Model.find(filter).sort(options.sort);
+
+  if (options.select) {
+    query = query.select(options.select);
+  }
+
+  // Full-text queries also return their relevance score
+  if (options.textScore) {
+    query = query.select({ score: { $meta: 'textScore' } });
+  }
+
+  if (options.paginated) {
+    query = query.skip(options.skip).limit(options.limit);
+  }
+
+  const data = await prepare(query);
+  if (!options.paginated) return data;
+
+  const total = await Model.countDocuments(filter);
+
+  return {
+    data,
+    pagination: {
+      page: options.page,
+      limit: options.limit,
+      total,
+      totalPages: Math.ceil(total / options.limit),
+      hasNextPage: options.skip + data.length < total
+    }
+  };
+};
+
+// Shared list settings for timesheet listings (admin and employee)
+const TIMESHEET_LIST_OPTIONS = {
+  sortFields: ['date', 'employeeName', 'status', 'reviewedAt', 'createdAt', 'totalHours'],
+  defaultSort: { date: -1, _id: -1 },
+  selectableFields: [
+    'employee', 'employeeName', 'date', 'period', 'locked', 'plannedWork', 'actualWork', 'remarks',
+    'timeBlocks', 'totalMinutes', 'totalHours', 'status', 'approvalStage', 'approvals',
+    'adminComments', 'reviewedBy', 'reviewedAt', 'createdAt', 'updatedAt'
+  ]
+};
+
+const EMPLOYEE_LIST_OPTIONS = {
+  sortFields: ['name', 'email', 'employeeId', 'department', 'role', 'createdAt'],
+  defaultSort: { name: 1, _id: 1 },
+  selectableFields: [
+    'name', 'email', 'role', 'employeeId', 'departmentId', 'department', 'reportsTo', 'isActive', 'createdAt', 'updatedAt'
+  ]
+};
+
+module.exports = {
+  TIMESHEET_LIST_OPTIONS,
+  EMPLOYEE_LIST_OPTIONS,
+  parseListOptions,
+  isSelected,
+  findWithListOptions
+};
@@ -0,0 +1,108 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { getLimiterStore, secondsUntil } = require('./rateLimit');
+
+// Brute-force protection for sign-in. Failed attempts are counted per account (email) and per
+// IP within a window; past a few failures every attempt is slowed down, and past the limit the
+// account or IP is locked for a while.
+const getLoginSettings = () => ({
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20,
+  windowMs: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000,
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 2,
+  delayMs: parseInt(process.env.LOGIN_DELAY_MS, 10) || 500,
+  maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS, 10) || 8000
+});
+
+const ACCOUNT_PREFIX = 'login:account:';
+const IP_PREFIX = 'login:ip:';
+
+const accountKey = (email) => `${ACCOUNT_PREFIX}${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `${IP_PREFIX}${ip}`;
+
+// Delay before answering the next attempt: doubles with each failure past delayAfter
+const getLoginDelay = (failures, settings = getLoginSettings()) => {
+  if (failures < settings.delayAfter) return 0;
+  return Math.min(settings.delayMs * 2 ** (failures - settings.delayAfter), settings.maxDelayMs);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether a sign-in may go ahead. Returns { locked: 'account' | 'ip', retryAfter } (seconds)
+// when it is locked out, or { delayMs } to wait before checking the password.
+const checkLoginAllowed = async ({ email, ip }) => {
+  const store = getLimiterStore();
+  const [account, address] = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+
+  if (account?.lockedUntil) return { locked: 'account', retryAfter: secondsUntil(account.lockedUntil) };
+  if (address?.lockedUntil) return { locked: 'ip', retryAfter: secondsUntil(address.lockedUntil) };
+
+  return { delayMs: getLoginDelay(Math.max(account?.count || 0, address?.count || 0)) };
+};
+
+// Count a failed sign-in, locking the account or IP once it reaches its limit
+const recordLoginFailure = async ({ email, ip }) => {
+  const settings = getLoginSettings();
+  const store = getLimiterStore();
+  const lockedUntil = new Date(Date.now() + settings.lockoutMs);
+
+  const account = await store.increment(accountKey(email), settings.windowMs);
+  if (account.count >= settings.maxAccountFailures) {
+    await store.lock(accountKey(email), lockedUntil);
+  }
+
+  const address = await store.increment(ipKey(ip), settings.windowMs);
+  if (address.count >= settings.maxIpFailures) {
+    await store.lock(ipKey(ip), lockedUntil);
+  }
+};
+
+// A successful sign-in clears the account's failures (the IP's count stays)
+const recordLoginSuccess = async ({ email }) => {
+  await getLimiterStore().reset(accountKey(email));
+};
+
+// Add an entry to the login history. Never throws: a failed write must not block sign-in.
+const recordLoginAttempt = async (req, { user, email, success, reason = '' }) => {
+  try {
+    await LoginAttempt.create({
+      user: user?._id,
+      organization: user?.organization,
+      email: email || user?.email || '',
+      success,
+      reason,
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || ''
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error);
+  }
+};
+
+// Accounts and IPs that are locked right now, as { type, value, failures, lockedUntil }
+const listLoginLocks = async () => {
+  const store = getLimiterStore();
+  const [accounts, ips] = await Promise.all([store.listLocked(ACCOUNT_PREFIX), store.listLocked(IP_PREFIX)]);
+
+  return [
+    ...accounts.map(entry => ({ type: 'account', value: entry.key.slice(ACCOUNT_PREFIX.length), failures: entry.count, lockedUntil: entry.lockedUntil })),
+    ...ips.map(entry => ({ type: 'ip', value: entry.key.slice(IP_PREFIX.length), failures: entry.count, lockedUntil: entry.lockedUntil }))
+  ];
+};
+
+// Lift a lock and forget the failures behind it
+const clearLoginLock = async (type, value) => {
+  await getLimiterStore().reset(type === 'ip' ? ipKey(value) : accountKey(value));
+};
+
+module.exports = {
+  getLoginSettings,
+  getLoginDelay,
+  sleep,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginAttempt,
+  listLoginLocks,
+  clearLoginLock
+};
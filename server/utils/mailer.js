@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local stand-in: print the message to the server log
+const consoleTransport = async (message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+};
+
+// Local stand-in: write each message as a JSON file into MAIL_DIR
+const fileTransport = async (message) => {
+  const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'timesheet-mail');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+  await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+// Plug in another transport (SMTP, an email API, ...) under a name usable in MAIL_TRANSPORT
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+// Send a message through the transport named by MAIL_TRANSPORT (console by default)
+// Attachments are { filename, path, contentType } and are passed to the transport as given
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@timesheets.local',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  };
+
+  await transport(message);
+  return message;
+};
+
+module.exports = { registerTransport, sendMail };
@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendMail } = require('./mailer');
+const { toDayKey } = require('./calendar');
+const { getRolesWithPermission } = require('./permissions');
+
+// Create an in-app notification for each user that has not muted the type, and email
+// it straight away to users who asked for immediate delivery. Never throws: a failed
+// notification must not fail the request that triggered it.
+const notify = async (userIds, { type, title, message = '', entityType, entityId }) => {
+  try {
+    const ids = [...new Set((userIds || []).filter(Boolean).map(String))];
+    if (!ids.length) return [];
+
+    const users = await User.find({ _id: { $in: ids }, isActive: true })
+      .select('name email notificationPreferences');
+
+    const recipients = users.filter(user => !user.notificationPreferences?.mutedTypes?.includes(type));
+
+    const notifications = await Notification.insertMany(recipients.map(user => ({
+      user: user._id,
+      type,
+      title,
+      message,
+      entityType,
+      entityId
+    })));
+
+    for (const user of recipients.filter(u => u.notificationPreferences?.emailDigest === 'immediate')) {
+      try {
+        await sendMail({ to: user.email, subject: title, text: message || title });
+        await Notification.updateMany(
+          { user: user._id, _id: { $in: notifications.map(n => n._id) } },
+          { emailedAt: new Date() }
+        );
+      } catch (error) {
+        console.error('Notification email error:', error);
+      }
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return [];
+  }
+};
+
+// Who should act on an item at the given approval stage: the line manager at the manager step,
+// otherwise the active reviewers whose role covers the employee (everyone, or their department)
+const getReviewerIds = async (employee, stage) => {
+  if (stage === 'manager' && employee?.reportsTo) {
+    return [employee.reportsTo];
+  }
+
+  const roles = await getRolesWithPermission('timesheets:review');
+  const namesWithScope = scope => roles.filter(role => role.scope === scope).map(role => role.name);
+
+  const reviewers = [{ role: { $in: namesWithScope('all') } }];
+  if (employee?.departmentId) {
+    reviewers.push({ role: { $in: namesWithScope('department') }, departmentId: employee.departmentId });
+  }
+
+  return User.find({ isActive: true, $or: reviewers }).distinct('_id');
+};
+
+// Tell the employee about a review decision, and the admin-level reviewers when a manager
+// approval needs sign-off
+const notifyReviewOutcome = async ({ entityType, doc, step, final, label }) => {
+  if (final) {
+    await notify([doc.employee], {
+      type: entityType === 'Timesheet' ? 'timesheet_reviewed' : 'period_reviewed',
+      title: `${label} ${step.decision}`,
+      message: `${step.reviewerName} ${step.decision} your ${label.toLowerCase()}` +
+        (step.comment ? `: "${step.comment}"` : '.'),
+      entityType,
+      entityId: doc._id
+    });
+    return;
+  }
+
+  const employee = await User.findById(doc.employee).select('departmentId');
+  await notify(await getReviewerIds(employee, 'admin'), {
+    type: 'review_pending',
+    title: `${label} awaiting final sign-off`,
+    message: `${step.reviewerName} approved ${doc.employeeName}'s ${label.toLowerCase()}. It needs admin sign-off.`,
+    entityType,
+    entityId: doc._id
+  });
+};
+
+// Tell the reviewers at the current stage that something is waiting for them
+const notifySubmission = async ({ type, employee, doc, entityType, label }) => {
+  const resubmitted = type === 'timesheet_resubmitted';
+
+  await notify(await getReviewerIds(employee, doc.approvalStage), {
+    type,
+    title: `${label} ${resubmitted ? 'resubmitted' : 'submitted'} by ${employee.name}`,
+    message: `${employee.name} ${resubmitted ? 'resubmitted a rejected' : 'submitted a'} ${label.toLowerCase()} for review.`,
+    entityType,
+    entityId: doc._id
+  });
+};
+
+// Email each daily-digest user their notifications that have not been emailed yet
+const sendDailyDigests = async () => {
+  const users = await User.find({ isActive: true, 'notificationPreferences.emailDigest': 'daily' })
+    .select('name email');
+  let sent = 0;
+
+  for (const user of users) {
+    const pending = await Notification.find({ user: user._id, emailedAt: null, readAt: null })
+      .sort({ createdAt: 1 });
+    if (!pending.length) continue;
+
+    const lines = pending.map(n => `• ${toDayKey(n.createdAt)} — ${n.title}${n.message ? `\n  ${n.message}` : ''}`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `You have ${pending.length} timesheet notification${pending.length === 1 ? '' : 's'}`,
+        text: `Hi ${user.name},\n\n${lines.join('\n')}`
+      });
+
+      await Notification.updateMany({ _id: { $in: pending.map(n => n._id) } }, { emailedAt: new Date() });
+      sent += 1;
+    } catch (error) {
+      console.error('Digest email error:', error);
+    }
+  }
+
+  return { sent };
+};
+
+module.exports = { notify, getReviewerIds, notifyReviewOutcome, notifySubmission, sendDailyDigests };
@@ -0,0 +1,65 @@
+const { clearAllowedOrigins } = require('./tenancy');
+const { z } = require('./validation');
+
+const SETTING_FIELDS = ['allowedOrigins', 'weekStartDay', 'timezone'];
+
+const isOrigin = (value) => {
+  try {
+    return typeof value === 'string' && new URL(value).origin === value;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return typeof value === 'string';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Request schema for an organization's settings; every field is optional
+const organizationSettingsSchema = z.object({
+  allowedOrigins: z.array(z.string().refine(isOrigin, 'Must be an origin like https://example.com')).optional(),
+  weekStartDay: z.number().int().min(0).max(6).optional(),
+  timezone: z.string().refine(isTimeZone, 'Must be an IANA time zone such as Europe/London').optional()
+});
+
+// Copy the settings given in a request onto an organization
+const applyOrganizationSettings = (organization, settings = {}) => {
+  SETTING_FIELDS
+    .filter(field => settings[field] !== undefined)
+    .forEach(field => { organization.settings[field] = settings[field]; });
+
+  if (settings.allowedOrigins !== undefined) {
+    clearAllowedOrigins();
+  }
+};
+
+// Give every record of the given models that has no organization yet to this one and rebuild
+// the models' indexes (global unique indexes become per-organization ones). Writes go through
+// the driver so model hooks, such as the append-only audit log's, do not refuse them. A model
+// that fails is reported and the rest carry on. Returns [{ model, assigned } | { model, error }].
+const assignToOrganization = async (models, organizationId) => {
+  const results = [];
+
+  for (const model of models) {
+    try {
+      const filter = { organization: { $exists: false } };
+      // Super admins stay outside every organization
+      if (model.modelName === 'User') filter.isSuperAdmin = { $ne: true };
+
+      const result = await model.collection.updateMany(filter, { $set: { organization: organizationId } });
+      await model.syncIndexes();
+      results.push({ model: model.modelName, assigned: result.modifiedCount });
+    } catch (error) {
+      results.push({ model: model.modelName, error });
+    }
+  }
+
+  return results;
+};
+
+module.exports = { organizationSettingsSchema, applyOrganizationSettings, assignToOrganization };
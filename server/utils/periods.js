@@ -0,0 +1,89 @@
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const Timesheet = require('../models/Timesheet');
+const { getTenantSettings } = require('./tenancy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day the week starts on (0 = Sunday ... 6 = Saturday): the organization's setting, then
+// WEEK_START_DAY, then Monday
+const getWeekStartDay = () => {
+  const { weekStartDay } = getTenantSettings();
+  if (weekStartDay >= 0 && weekStartDay <= 6) return weekStartDay;
+
+  const day = parseInt(process.env.WEEK_START_DAY, 10);
+  return day >= 0 && day <= 6 ? day : 1;
+};
+
+// First and last instant of the week that contains the given date (UTC)
+const getWeekRange = (date, weekStartDay = getWeekStartDay()) => {
+  const day = new Date(date);
+  const midnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+  const offset = (new Date(midnight).getUTCDay() - weekStartDay + 7) % 7;
+
+  const startDate = new Date(midnight - offset * DAY_MS);
+  const endDate = new Date(startDate.getTime() + 7 * DAY_MS - 1);
+
+  return { startDate, endDate };
+};
+
+// Days can only be changed while their period is still with the employee
+const isPeriodLocked = (period) => ['submitted', 'accepted'].includes(period.status);
+
+// Find the employee's period for the week of the given date, creating it if needed
+const findOrCreatePeriod = async (user, date) => {
+  const { startDate, endDate } = getWeekRange(date);
+
+  return TimesheetPeriod.findOneAndUpdate(
+    { employee: user._id, startDate },
+    { $setOnInsert: { employeeName: user.name, endDate } },
+    { new: true, upsert: true }
+  );
+};
+
+// The employee's period for the week of the given date without creating it. A week nobody has
+// touched yet comes back as an unsaved open period with no _id; it is created with its first day.
+const findPeriod = async (user, date) => {
+  const { startDate, endDate } = getWeekRange(date);
+
+  const period = await TimesheetPeriod.findOne({ employee: user._id, startDate });
+  if (period) return period;
+
+  const { _id, ...openPeriod } = new TimesheetPeriod({ employee: user._id, employeeName: user.name, startDate, endDate }).toObject();
+  return openPeriod;
+};
+
+// Bring a submitted period in line with per-day reviews: a rejected day sends the whole week
+// back to the employee, and a week whose days are all accepted is accepted. The period takes
+// its reviewer from the day that decided it. Open weeks are left alone, so reviewing the days
+// entered so far never locks a week the employee is still filling in.
+const syncPeriodStatus = async (periodId) => {
+  if (!periodId) return null;
+
+  const period = await TimesheetPeriod.findById(periodId);
+  if (!period || period.status !== 'submitted') return period;
+
+  const days = await Timesheet.find({ period: period._id }).select('status reviewedBy reviewedAt');
+  if (!days.length) return period;
+
+  const rejected = days.filter(d => d.status === 'rejected');
+  let deciding;
+  if (rejected.length) {
+    period.status = 'rejected';
+    deciding = rejected;
+  } else if (days.every(d => d.status === 'accepted')) {
+    period.status = 'accepted';
+    deciding = days;
+  } else {
+    return period;
+  }
+
+  const latest = deciding.reduce((last, day) => (!last || day.reviewedAt > last.reviewedAt ? day : last), null);
+  period.approvalStage = 'complete';
+  period.reviewedBy = latest.reviewedBy;
+  period.reviewedAt = latest.reviewedAt || new Date();
+
+  await period.save();
+  return period;
+};
+
+module.exports = { getWeekStartDay, getWeekRange, isPeriodLocked, findPeriod, findOrCreatePeriod, syncPeriodStatus };
@@ -0,0 +1,120 @@
+const Role = require('../models/Role');
+const { getTenantId } = require('./tenancy');
+
+// Every permission a role can grant
+const PERMISSIONS = {
+  'employees:read': 'View employees',
+  'employees:write': 'Create and edit employees',
+  'employees:delete': 'Delete employees and their timesheets',
+  'sessions:manage': 'View and revoke employee sessions',
+  'logins:manage': 'View login history and clear login lockouts',
+  'timesheets:read': 'View timesheets and weekly periods',
+  'timesheets:review': 'Accept and reject timesheets and weekly periods',
+  'reports:export': 'Export timesheets and statements',
+  'reports:manage': 'Manage scheduled reports and the report archive',
+  'dashboard:read': 'View the admin dashboard',
+  'analytics:read': 'View review analytics',
+  'compliance:read': 'View the compliance report',
+  'compliance:remind': 'Send compliance reminders',
+  'leave:review': 'View and review leave requests and balances',
+  'leave:manage': 'Manage leave types, balances and holidays',
+  'projects:manage': 'Manage clients and projects',
+  'departments:manage': 'Manage departments',
+  'invitations:manage': 'Invite new users',
+  'imports:run': 'Import employees and timesheets',
+  'audit:read': 'View the audit log',
+  'webhooks:manage': 'Manage webhooks',
+  'roles:manage': 'Manage roles and assign them to users',
+  'organization:manage': "Edit the organization's name and settings"
+};
+
+const MANAGER_PERMISSIONS = [
+  'employees:read', 'timesheets:read', 'timesheets:review', 'reports:export',
+  'analytics:read', 'compliance:read', 'leave:review'
+];
+
+// Roles every installation starts with. Their permissions can be edited afterwards,
+// except admin, which always has every permission so nobody can be locked out.
+const DEFAULT_ROLES = [
+  { name: 'employee', description: 'Submits their own timesheets', permissions: [], scope: 'reports' },
+  { name: 'manager', description: 'Reviews their direct reports', permissions: MANAGER_PERMISSIONS, scope: 'reports' },
+  {
+    name: 'department_admin',
+    description: 'Administers the people in their own department',
+    permissions: [...MANAGER_PERMISSIONS, 'employees:write', 'employees:delete', 'dashboard:read'],
+    scope: 'department'
+  },
+  { name: 'admin', description: 'Full access', permissions: Object.keys(PERMISSIONS), scope: 'all' }
+];
+
+// Create any missing built-in roles for an organization (the current tenant by default);
+// existing ones keep their edited permissions. Each organization has its own copies.
+const ensureDefaultRoles = async (organizationId = getTenantId()) => {
+  if (!organizationId) return;
+
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { organization: organizationId, name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+};
+
+// Permissions and scope a user's role grants, from their organization's roles. Built-in roles
+// fall back to their defaults until they exist in the database; unknown roles grant nothing.
+// Runs before the request has a tenant, so the organization is given explicitly.
+const getAccess = async (user) => {
+  const role = await Role.findOne({ name: user.role, organization: user.organization || null }).lean() ||
+    DEFAULT_ROLES.find(r => r.name === user.role);
+
+  if (!role) {
+    return { permissions: [], scope: 'reports' };
+  }
+
+  return {
+    permissions: role.name === 'admin' ? Object.keys(PERMISSIONS) : role.permissions,
+    scope: role.scope
+  };
+};
+
+// Every role of the current organization, with built-in roles it has not stored yet at their
+// defaults. Admin always grants every permission.
+const getRoles = async () => {
+  const stored = await Role.find().select('name permissions scope').lean();
+  const missing = DEFAULT_ROLES.filter(role => !stored.some(r => r.name === role.name));
+
+  return [...stored, ...missing].map(role => ({
+    name: role.name,
+    permissions: role.name === 'admin' ? Object.keys(PERMISSIONS) : role.permissions,
+    scope: role.scope
+  }));
+};
+
+// Roles of the current organization that grant a permission
+const getRolesWithPermission = async (permission) =>
+  (await getRoles()).filter(role => role.permissions.includes(permission));
+
+// Names of the roles whose holders may be someone's line manager
+const getLineManagerRoleNames = async () =>
+  (await getRolesWithPermission('timesheets:review')).map(role => role.name);
+
+// Names of the roles limited to their holder's direct reports: the staff who fill in timesheets
+// rather than administer them (employee and manager by default)
+const getStaffRoleNames = async () =>
+  (await getRoles()).filter(role => role.scope === 'reports').map(role => role.name);
+
+// Whether a user (with access loaded by the auth middleware) holds a permission
+const hasPermission = (user, permission) => Boolean(user?.access?.permissions.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  ensureDefaultRoles,
+  getAccess,
+  getRoles,
+  getRolesWithPermission,
+  getLineManagerRoleNames,
+  getStaffRoleNames,
+  hasPermission
+};
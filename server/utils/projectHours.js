@@ -0,0 +1,55 @@
+const Timesheet = require('../models/Timesheet');
+
+// Sum time block durations per project, unassigned blocks grouped under null.
+// Pass employeeIds to count only those employees' time.
+const getProjectHours = async (startDate, endDate, employeeIds) => {
+  const match = {};
+
+  if (employeeIds) {
+    match.employee = { $in: employeeIds };
+  }
+
+  if (startDate && endDate) {
+    match.date = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  const totals = await Timesheet.aggregate([
+    { $match: match },
+    { $unwind: '$timeBlocks' },
+    {
+      $group: {
+        _id: '$timeBlocks.project',
+        totalMinutes: { $sum: '$timeBlocks.duration' },
+        employees: { $addToSet: '$employee' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'projects',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'project'
+      }
+    },
+    { $unwind: { path: '$project', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        projectId: '$_id',
+        name: { $ifNull: ['$project.name', 'Unassigned'] },
+        code: { $ifNull: ['$project.code', ''] },
+        totalMinutes: 1,
+        totalHours: { $round: [{ $divide: ['$totalMinutes', 60] }, 2] },
+        employeeCount: { $size: '$employees' }
+      }
+    },
+    { $sort: { totalMinutes: -1 } }
+  ]);
+
+  return totals;
+};
+
+module.exports = { getProjectHours };
@@ -0,0 +1,183 @@
+const RateLimit = require('../models/RateLimit');
+const { AppError } = require('./validation');
+
+// Limiter stores keep a failure/request counter per key, with a fixed window and an optional
+// lock. Every store implements:
+//   increment(key, windowMs) -> entry   count one more hit, starting a new window if it ran out
+//   get(key)                 -> entry   (null when there is nothing on record)
+//   lock(key, until)         -> entry
+//   reset(key)                          forget the key, including any lock
+//   listLocked(prefix)       -> entry[] keys starting with prefix that are locked right now
+// where an entry is { key, count, resetAt, lockedUntil }.
+
+// Drop a finished window's count and a lock that has run out
+const toEntry = (doc, now = new Date()) => {
+  if (!doc) return null;
+
+  return {
+    key: doc.key,
+    count: doc.resetAt > now ? doc.count : 0,
+    resetAt: doc.resetAt,
+    lockedUntil: doc.lockedUntil && doc.lockedUntil > now ? doc.lockedUntil : null
+  };
+};
+
+const laterOf = (a, b) => (!b || a > b ? a : b);
+
+// Per-process store; fine for a single server, counts are lost on restart
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  // Remove entries whose window and lock have both run out
+  const prune = (now) => {
+    for (const [key, entry] of entries) {
+      if (laterOf(entry.resetAt, entry.lockedUntil) <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      if (entries.size > 10000) prune(now);
+
+      const entry = entries.get(key);
+      if (entry && entry.resetAt > now) {
+        entry.count += 1;
+      } else {
+        entries.set(key, { key, count: 1, resetAt: new Date(now.getTime() + windowMs), lockedUntil: entry?.lockedUntil || null });
+      }
+
+      return toEntry(entries.get(key), now);
+    },
+
+    async get(key) {
+      return toEntry(entries.get(key));
+    },
+
+    async lock(key, until) {
+      const entry = entries.get(key) || { key, count: 0, resetAt: new Date() };
+      entry.lockedUntil = until;
+      entries.set(key, entry);
+      return toEntry(entry);
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+
+    async listLocked(prefix = '') {
+      const now = new Date();
+      prune(now);
+
+      return [...entries.values()]
+        .filter(entry => entry.key.startsWith(prefix) && entry.lockedUntil > now)
+        .map(entry => toEntry(entry, now));
+    }
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shared store in MongoDB for several server instances; entries expire through a TTL index
+const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+    const resetAt = { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] };
+
+    // One atomic update, so concurrent attempts cannot lose a count
+    const doc = await RateLimit.findOneAndUpdate({ key }, [
+      { $set: { count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] }, resetAt } },
+      { $set: { expiresAt: { $max: ['$resetAt', { $ifNull: ['$lockedUntil', '$resetAt'] }] } } }
+    ], { upsert: true, new: true }).lean();
+
+    return toEntry(doc, now);
+  },
+
+  async get(key) {
+    return toEntry(await RateLimit.findOne({ key }).lean());
+  },
+
+  async lock(key, until) {
+    const doc = await RateLimit.findOneAndUpdate({ key }, [
+      { $set: { lockedUntil: until, count: { $ifNull: ['$count', 0] }, resetAt: { $ifNull: ['$resetAt', new Date()] } } },
+      { $set: { expiresAt: { $max: ['$resetAt', until] } } }
+    ], { upsert: true, new: true }).lean();
+
+    return toEntry(doc);
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+
+  async listLocked(prefix = '') {
+    const now = new Date();
+    const docs = await RateLimit.find({
+      key: { $regex: `^${escapeRegex(prefix)}` },
+      lockedUntil: { $gt: now }
+    }).lean();
+
+    return docs.map(doc => toEntry(doc, now));
+  }
+});
+
+const stores = {
+  memory: createMemoryStore(),
+  mongo: createMongoStore()
+};
+
+// Plug in another store (Redis, ...) under a name usable in RATE_LIMIT_STORE
+const registerLimiterStore = (name, store) => {
+  stores[name] = store;
+};
+
+// The store named by RATE_LIMIT_STORE (memory by default)
+const getLimiterStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const store = stores[name];
+
+  if (!store) {
+    throw new Error(`Unknown rate limiter store: ${name}`);
+  }
+
+  return store;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Middleware allowing `max` requests per `windowMs` for each key (the client IP by default).
+// Options may be functions so limits can follow the environment. When the store is
+// unreachable requests are let through rather than locking everyone out.
+const rateLimit = ({ prefix, max, windowMs, keyFor = req => req.ip, message = 'Too many requests. Try again later.' }) =>
+  async (req, res, next) => {
+    const limit = typeof max === 'function' ? max() : max;
+
+    let entry;
+    try {
+      const window = typeof windowMs === 'function' ? windowMs() : windowMs;
+      entry = await getLimiterStore().increment(`${prefix}:${keyFor(req)}`, window);
+    } catch (error) {
+      console.error(`Rate limiter "${prefix}" failed:`, error);
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - entry.count)));
+
+    if (entry.count > limit) {
+      res.set('Retry-After', String(secondsUntil(entry.resetAt)));
+      return next(new AppError(429, 'RATE_LIMITED', message));
+    }
+
+    next();
+  };
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  registerLimiterStore,
+  getLimiterStore,
+  secondsUntil,
+  rateLimit
+};
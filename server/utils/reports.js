@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const Report = require('../models/Report');
+const ReportSchedule = require('../models/ReportSchedule');
+const { EXPORT_FORMATS, parseColumns, writeRows, writeTimesheetExport } = require('./exporter');
+const { buildTimesheetQuery } = require('./timesheetQuery');
+const { ANALYTICS_COLUMNS, GROUP_BY_OPTIONS, getReviewAnalytics } = require('./analytics');
+const { getComplianceReport } = require('./compliance');
+const { filterByDepartment } = require('./departments');
+const { getWeekRange } = require('./periods');
+const { startOfDay, toDayKey } = require('./calendar');
+const { nextCronTime } = require('./cron');
+const { sendMail } = require('./mailer');
+const { runWithTenant } = require('./tenancy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_RANGES = ['previous-day', 'previous-week', 'previous-month', 'week-to-date', 'month-to-date'];
+
+// Generated files live under REPORT_DIR, one folder per schedule. It is required: the archive
+// has to outlive restarts and deploys, so it must be persistent storage, not a temp folder.
+const getReportDir = () => {
+  if (!process.env.REPORT_DIR) {
+    throw new Error('REPORT_DIR is not set; reports cannot be archived');
+  }
+
+  return process.env.REPORT_DIR;
+};
+
+// Start and end of the period a run covers, relative to the time it runs
+const getReportRange = (range, now = new Date()) => {
+  const today = startOfDay(now);
+  const endOfDay = (day) => new Date(day.getTime() + DAY_MS - 1);
+
+  switch (range) {
+    case 'previous-day': {
+      const yesterday = new Date(today.getTime() - DAY_MS);
+      return { startDate: yesterday, endDate: endOfDay(yesterday) };
+    }
+    case 'previous-month':
+      return {
+        startDate: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1)),
+        endDate: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1) - 1)
+      };
+    case 'week-to-date':
+      return { startDate: getWeekRange(today).startDate, endDate: now };
+    case 'month-to-date':
+      return { startDate: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)), endDate: now };
+    default:
+      return getWeekRange(new Date(today.getTime() - 7 * DAY_MS));
+  }
+};
+
+const COMPLIANCE_COLUMNS = ['name', 'email', 'employeeId', 'department', 'expectedDays', 'submittedDays', 'missingDays', 'missingDates', 'lateSubmissions'];
+
+// Each report type: the formats it supports, how to check its filters and how to write it
+const REPORT_TYPES = {
+  timesheets: {
+    formats: Object.keys(EXPORT_FORMATS),
+    validate: (filters) => parseColumns(filters.columns).error || null,
+    generate: async (stream, { filters, format, startDate, endDate, title }) => {
+      const query = await buildTimesheetQuery({ ...filters, startDate, endDate });
+      const { columns } = parseColumns(filters.columns);
+
+      await writeTimesheetExport(stream, { query, format, columns, title, ascending: true });
+    }
+  },
+
+  'review-analytics': {
+    formats: Object.keys(EXPORT_FORMATS),
+    validate: (filters) => (filters.groupBy && !GROUP_BY_OPTIONS.includes(filters.groupBy)
+      ? `Group by must be one of: ${GROUP_BY_OPTIONS.join(', ')}`
+      : null),
+    generate: async (stream, { filters, format, startDate, endDate, title }) => {
+      const { groups } = await getReviewAnalytics({
+        startDate,
+        endDate,
+        department: filters.department,
+        groupBy: filters.groupBy || 'day'
+      });
+      await writeRows(stream, groups, { format, columns: ANALYTICS_COLUMNS, title });
+    }
+  },
+
+  compliance: {
+    formats: Object.keys(EXPORT_FORMATS),
+    validate: () => null,
+    generate: async (stream, { filters, format, startDate, endDate, title }) => {
+      const scope = await filterByDepartment({}, filters.department);
+      const report = await getComplianceReport(startDate, endDate, { employeeIds: scope.employee ? scope.employee.$in : null });
+      const rows = report.map(row => ({
+        name: row.employee.name,
+        email: row.employee.email,
+        employeeId: row.employee.employeeId || '',
+        department: row.employee.department || '',
+        expectedDays: row.expectedDays,
+        submittedDays: row.submittedDays,
+        missingDays: row.missingDates.length,
+        missingDates: row.missingDates.join(' '),
+        lateSubmissions: row.lateSubmissions.length
+      }));
+
+      await writeRows(stream, rows, { format, columns: COMPLIANCE_COLUMNS, title });
+    }
+  }
+};
+
+// Email each subscriber the report as an attachment
+const emailTransport = async ({ report, schedule, filePath, subscribers }) => {
+  for (const to of subscribers) {
+    await sendMail({
+      to,
+      subject: `${schedule.name}: ${toDayKey(report.rangeStart)} to ${toDayKey(report.rangeEnd)}`,
+      text: `Your scheduled report "${schedule.name}" is attached.`,
+      attachments: [{ filename: report.filename, path: filePath, contentType: EXPORT_FORMATS[report.format].contentType }]
+    });
+  }
+};
+
+const reportTransports = {
+  email: emailTransport
+};
+
+// Plug in another way to deliver reports (a shared drive, S3, Slack, ...). The transport is
+// called with { report, schedule, filePath, subscribers } and should throw if delivery fails.
+const registerReportTransport = (name, deliver) => {
+  reportTransports[name] = deliver;
+};
+
+const getReportTransports = () => Object.keys(reportTransports);
+
+// Check a schedule's settings, returning an error message or null
+const validateReportSettings = ({ reportType, format, range, filters = {} }) => {
+  const type = REPORT_TYPES[reportType];
+  if (!type) {
+    return `Report type must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`;
+  }
+
+  if (format && !type.formats.includes(format)) {
+    return `Format must be one of: ${type.formats.join(', ')}`;
+  }
+
+  if (range && !REPORT_RANGES.includes(range)) {
+    return `Range must be one of: ${REPORT_RANGES.join(', ')}`;
+  }
+
+  return type.validate(filters);
+};
+
+// Delete a schedule's oldest reports beyond its retention limit
+const applyRetention = async (schedule) => {
+  const expired = await Report.find({ schedule: schedule._id })
+    .sort({ createdAt: -1 })
+    .skip(schedule.retention)
+    .select('+storagePath');
+
+  await deleteReports(expired);
+  return expired.length;
+};
+
+// Remove reports and their files
+const deleteReports = async (reports) => {
+  for (const report of reports) {
+    if (report.storagePath) {
+      await fs.promises.rm(path.join(getReportDir(), report.storagePath), { force: true });
+    }
+  }
+
+  await Report.deleteMany({ _id: { $in: reports.map(r => r._id) } });
+};
+
+// Absolute path of an archived report's file
+const getReportFilePath = (report) => path.join(getReportDir(), report.storagePath);
+
+// Generate one report for a schedule, archive it, deliver it and trim the archive.
+// Failures are recorded on the report rather than thrown.
+const runSchedule = async (schedule, { now = new Date(), generatedBy } = {}) => {
+  const { startDate, endDate } = getReportRange(schedule.range, now);
+  const { extension } = EXPORT_FORMATS[schedule.format];
+  const slug = schedule.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+
+  const report = new Report({
+    schedule: schedule._id,
+    name: schedule.name,
+    reportType: schedule.reportType,
+    format: schedule.format,
+    rangeStart: startDate,
+    rangeEnd: endDate,
+    filename: `${slug}_${toDayKey(startDate)}_${toDayKey(endDate)}.${extension}`,
+    generatedBy
+  });
+  report.storagePath = path.join(String(schedule._id), `${report._id}.${extension}`);
+  await report.save();
+
+  let filePath;
+  let stream;
+  try {
+    filePath = getReportFilePath(report);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    stream = fs.createWriteStream(filePath);
+
+    await REPORT_TYPES[schedule.reportType].generate(stream, {
+      filters: schedule.filters || {},
+      format: schedule.format,
+      startDate,
+      endDate,
+      title: schedule.name
+    });
+
+    if (!stream.writableFinished) {
+      await once(stream, 'finish');
+    }
+
+    report.size = (await fs.promises.stat(filePath)).size;
+    report.status = 'ready';
+  } catch (error) {
+    console.error(`Report "${schedule.name}" failed:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+    stream?.destroy();
+    if (filePath) await fs.promises.rm(filePath, { force: true });
+  }
+
+  if (report.status === 'ready' && schedule.subscribers.length) {
+    const transport = reportTransports[schedule.transport];
+
+    try {
+      if (!transport) {
+        throw new Error(`Unknown report transport: ${schedule.transport}`);
+      }
+
+      await transport({ report, schedule, filePath, subscribers: schedule.subscribers });
+      report.deliveredTo = schedule.subscribers;
+    } catch (error) {
+      console.error(`Report "${schedule.name}" delivery failed:`, error);
+      report.deliveryError = error.message;
+    }
+  }
+
+  await report.save();
+  await applyRetention(schedule);
+
+  return report;
+};
+
+// Scheduler task: run every active schedule whose next run time has passed, across all organizations
+const runDueSchedules = async () => {
+  const now = new Date();
+  const due = await ReportSchedule.find({ isActive: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+
+  for (const schedule of due) {
+    // Move the schedule on first so a slow or failing report is not picked up twice
+    schedule.lastRunAt = now;
+    schedule.nextRunAt = nextCronTime(schedule.cadence, now);
+    await schedule.save();
+
+    // Each report only covers its own organization's data
+    try {
+      await runWithTenant(schedule.organization, () => runSchedule(schedule, { now }));
+    } catch (error) {
+      console.error(`Report "${schedule.name}" could not run:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_RANGES,
+  getReportRange,
+  getReportTransports,
+  registerReportTransport,
+  validateReportSettings,
+  getReportFilePath,
+  deleteReports,
+  runSchedule,
+  runDueSchedules
+};
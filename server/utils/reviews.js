@@ -0,0 +1,41 @@
+const { evaluateDecision, applyDecision } = require('./approvals');
+const { syncPeriodStatus } = require('./periods');
+const { TIMESHEET_FIELDS, snapshot, recordAudit } = require('./audit');
+const { notifyReviewOutcome } = require('./notifications');
+const { emitEvent } = require('./webhooks');
+
+// Record one reviewer decision on a timesheet, with its side effects (period status,
+// audit entry, notification, webhook). Returns { error } if the decision is not allowed.
+const reviewTimesheet = async (req, timesheet, status, adminComments) => {
+  const { step, final, error } = evaluateDecision(timesheet, req.user, status, adminComments);
+  if (error) {
+    return { error };
+  }
+
+  const before = snapshot(timesheet, TIMESHEET_FIELDS);
+  applyDecision(timesheet, step, final);
+
+  // A rejected day goes back to the employee for editing
+  if (final && status === 'rejected') {
+    timesheet.locked = false;
+  }
+
+  await timesheet.save();
+  await syncPeriodStatus(timesheet.period);
+
+  await recordAudit(req, {
+    action: 'review',
+    entityType: 'Timesheet',
+    entityId: timesheet._id,
+    subject: timesheet.employee,
+    before,
+    after: snapshot(timesheet, TIMESHEET_FIELDS)
+  });
+
+  await notifyReviewOutcome({ entityType: 'Timesheet', doc: timesheet, step, final, label: 'Timesheet' });
+  await emitEvent('timesheet.reviewed', timesheet);
+
+  return { step, final };
+};
+
+module.exports = { reviewTimesheet };
@@ -0,0 +1,69 @@
+// Minimal in-process scheduler. Jobs run inside this server process, so with several
+// instances each one runs its own copy; set DISABLE_JOBS=true on all but one.
+const jobs = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds until the next hh:mm (UTC)
+const msUntil = (hour, minute) => {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour, minute);
+  return next > now.getTime() ? next - now.getTime() : next + DAY_MS - now.getTime();
+};
+
+const runJob = async (name, task) => {
+  try {
+    await task();
+  } catch (error) {
+    console.error(`❌ Scheduled job "${name}" failed:`, error);
+  }
+};
+
+// Run a task every day at hh:mm UTC
+const scheduleDaily = (name, { hour = 0, minute = 0 }, task) => {
+  cancelJob(name);
+
+  const tick = () => {
+    const timer = setTimeout(async () => {
+      await runJob(name, task);
+      tick();
+    }, msUntil(hour, minute));
+    timer.unref?.();
+    jobs.set(name, timer);
+  };
+
+  tick();
+};
+
+// Run a task every `seconds`, never overlapping with its previous run
+const scheduleInterval = (name, seconds, task) => {
+  cancelJob(name);
+
+  const tick = () => {
+    const timer = setTimeout(async () => {
+      await runJob(name, task);
+      tick();
+    }, seconds * 1000);
+    timer.unref?.();
+    jobs.set(name, timer);
+  };
+
+  tick();
+};
+
+const cancelJob = (name) => {
+  if (jobs.has(name)) {
+    clearTimeout(jobs.get(name));
+    jobs.delete(name);
+  }
+};
+
+const jobsEnabled = () => process.env.DISABLE_JOBS !== 'true';
+
+// An hour of the day (0-23) from an environment value, or the fallback when it is not one
+const parseHour = (value, fallback) => {
+  const hour = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : fallback;
+};
+
+module.exports = { scheduleDaily, scheduleInterval, cancelJob, jobsEnabled, parseHour };
@@ -0,0 +1,73 @@
+const SEARCH_FIELDS = ['employeeName', 'plannedWork', 'actualWork', 'remarks', 'adminComments'];
+const SNIPPET_RADIUS = 60;
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Words and "quoted phrases" from a search string, without negated terms
+const extractTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) terms.push(term);
+  }
+
+  return terms;
+};
+
+// A snippet around the first match in a field, with every match wrapped in <mark>.
+// Text is HTML-escaped so the snippet is safe to render.
+const highlightField = (text, termPattern) => {
+  if (!text) return null;
+
+  termPattern.lastIndex = 0;
+  const first = termPattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(first.index - SNIPPET_RADIUS, 0);
+  const end = Math.min(first.index + first[0].length + SNIPPET_RADIUS, text.length);
+  const excerpt = text.slice(start, end);
+
+  const marked = excerpt
+    .split(termPattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for every searchable field of a timesheet that matches the search
+const highlightTimesheet = (timesheet, search) => {
+  const terms = extractTerms(search);
+  if (!terms.length) return {};
+
+  // Capturing group so split() keeps the matched text
+  const termPattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+
+  return SEARCH_FIELDS.reduce((highlights, field) => {
+    const snippet = highlightField(timesheet[field], termPattern);
+    if (snippet) highlights[field] = snippet;
+    return highlights;
+  }, {});
+};
+
+// Attach search score and highlights to each result of a (possibly paginated) listing
+const withHighlights = (result, search) => {
+  const decorate = docs => docs.map(doc => {
+    const data = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return { ...data, highlights: highlightTimesheet(data, search) };
+  });
+
+  return Array.isArray(result) ? decorate(result) : { ...result, data: decorate(result.data) };
+};
+
+module.exports = { SEARCH_FIELDS, escapeRegex, extractTerms, highlightTimesheet, withHighlights };
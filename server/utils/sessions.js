@@ -0,0 +1,115 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { generateSecret, hashToken } = require('./tokens');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Short-lived JWT tied to a server-side session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user._id, organizationId: user.organization || null, role: user.role, email: user.email, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so a presented token leads straight to its session
+const issueRefreshToken = (session) => {
+  const secret = generateSecret();
+  session.tokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip || ''
+});
+
+// Start a new session and return its token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...clientInfo(req)
+  });
+
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return { token: generateAccessToken(user, session._id), refreshToken, session };
+};
+
+// Exchange a refresh token for a new pair. The swap is a single conditional update, so of two
+// requests presenting the same token only one wins. A token that no longer matches its session
+// has already been rotated, which means it was replayed: the session is revoked.
+// Returns { session, refreshToken } or { error }.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const newSecret = generateSecret();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { tokenHash: hashToken(newSecret), lastUsedAt: new Date(), ...clientInfo(req) },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${newSecret}` };
+  }
+
+  // Nothing matched: the session is gone, revoked or expired, or the token is a stale one
+  await Session.updateOne(
+    { _id: sessionId, tokenHash: { $ne: hashToken(secret) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'refresh token reuse' }
+  );
+
+  return { error: 'Session has expired or been revoked' };
+};
+
+// Look up the session a refresh token belongs to without rotating it
+const findSessionByRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  return session && session.tokenHash === hashToken(secret) ? session : null;
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the caller's)
+const revokeAllSessions = async (userId, reason = 'revoked', exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const listActiveSessions = async (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-tokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+};
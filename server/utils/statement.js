@@ -0,0 +1,314 @@
+const PDFDocument = require('pdfkit');
+const Timesheet = require('../models/Timesheet');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const { minutesToHours } = require('./timeBlocks');
+const {
+  getWeekendDays,
+  toDayKey,
+  eachDay,
+  isWeekend,
+  getHolidayMap,
+  findApprovedLeave
+} = require('./calendar');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// First and last day of a "YYYY-MM" month (UTC), or null when the value is not a month
+const getMonthRange = (month) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(month || ''));
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+
+  return {
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 0))
+  };
+};
+
+// Everything a monthly statement shows: one row per calendar day, totals and the
+// reviewers who signed off the month's days and weeks
+const getMonthlyStatement = async (employee, month) => {
+  const { start, end } = getMonthRange(month);
+  const endOfMonth = new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1);
+
+  const [timesheets, holidayMap, leaveRequests, periods] = await Promise.all([
+    Timesheet.find({ employee: employee._id, date: { $gte: start, $lte: endOfMonth } }).sort({ date: 1 }),
+    getHolidayMap(start, end),
+    findApprovedLeave(employee._id, start, end),
+    TimesheetPeriod.find({ employee: employee._id, startDate: { $lte: endOfMonth }, endDate: { $gte: start } })
+  ]);
+
+  const weekendDays = getWeekendDays();
+  const byDay = new Map(timesheets.map(t => [toDayKey(t.date), t]));
+
+  const leaveByDay = new Map();
+  leaveRequests.forEach(leave => {
+    eachDay(leave.startDate, leave.endDate).forEach(day => leaveByDay.set(toDayKey(day), leave));
+  });
+
+  const totals = { minutes: 0, daysWorked: 0, leaveDays: 0, holidays: 0, workingDays: 0, accepted: 0, pending: 0, rejected: 0 };
+
+  const days = eachDay(start, end).map(day => {
+    const key = toDayKey(day);
+    const timesheet = byDay.get(key);
+    const holiday = holidayMap.get(key);
+    const leave = leaveByDay.get(key);
+    const weekend = isWeekend(day, weekendDays);
+
+    if (!weekend && !holiday) totals.workingDays += 1;
+    if (holiday) totals.holidays += 1;
+    if (leave && !weekend && !holiday) totals.leaveDays += 1;
+
+    const row = { date: day, day: DAY_NAMES[day.getUTCDay()], plannedWork: '', actualWork: '', hours: null, status: '', marker: '' };
+
+    if (holiday) row.marker = `Holiday: ${holiday.name}`;
+    else if (leave) row.marker = `Leave: ${leave.leaveType?.name || 'Leave'}`;
+    else if (weekend) row.marker = 'Weekend';
+
+    if (timesheet) {
+      totals.minutes += timesheet.totalMinutes || 0;
+      totals.daysWorked += 1;
+      totals[timesheet.status] += 1;
+
+      row.plannedWork = timesheet.plannedWork;
+      row.actualWork = timesheet.actualWork;
+      row.hours = timesheet.totalHours;
+      row.status = timesheet.status;
+    }
+
+    return row;
+  });
+
+  // Latest decision per reviewer and level across the month's days and weeks
+  const signOffs = new Map();
+  [...timesheets, ...periods].forEach(doc => {
+    (doc.approvals || []).forEach(step => {
+      const key = `${step.reviewer}:${step.level}`;
+      const current = signOffs.get(key);
+      if (!current || step.decidedAt > current.decidedAt) {
+        signOffs.set(key, {
+          reviewerName: step.reviewerName || '',
+          level: step.level,
+          decision: step.decision,
+          decidedAt: step.decidedAt
+        });
+      }
+    });
+  });
+
+  return {
+    month,
+    start,
+    end,
+    employee: {
+      _id: employee._id,
+      name: employee.name,
+      email: employee.email,
+      employeeId: employee.employeeId || '',
+      department: employee.department || ''
+    },
+    days,
+    totals: { ...totals, hours: minutesToHours(totals.minutes) },
+    approvals: [...signOffs.values()].sort((a, b) => a.decidedAt - b.decidedAt)
+  };
+};
+
+const MARGIN = 40;
+
+const TABLE_COLUMNS = [
+  { key: 'date', label: 'Date', width: 62 },
+  { key: 'day', label: 'Day', width: 30 },
+  { key: 'plannedWork', label: 'Planned Work', width: 150 },
+  { key: 'actualWork', label: 'Actual Work', width: 150 },
+  { key: 'hours', label: 'Hours', width: 40, align: 'right' },
+  { key: 'status', label: 'Status', width: 83 }
+];
+
+const formatLongDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+});
+
+const drawTableHeader = (doc, y) => {
+  let x = MARGIN;
+  doc.rect(MARGIN, y, doc.page.width - MARGIN * 2, 18).fill('#1f3a5f');
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9);
+
+  TABLE_COLUMNS.forEach(column => {
+    doc.text(column.label, x + 4, y + 5, { width: column.width - 8, align: column.align || 'left' });
+    x += column.width;
+  });
+
+  doc.fillColor('#000000').font('Helvetica');
+  return y + 18;
+};
+
+const cellValues = (row) => ({
+  date: toDayKey(row.date),
+  day: row.day,
+  plannedWork: row.plannedWork || row.marker,
+  actualWork: row.actualWork,
+  hours: row.hours === null ? '' : row.hours.toFixed(2),
+  status: row.status ? row.status.charAt(0).toUpperCase() + row.status.slice(1) : ''
+});
+
+// Lay out a statement as a PDF on the given stream: header, employee details, a table
+// of days (repeating its header on each page), totals, sign-offs and page numbers
+const renderStatementPdf = (statement, stream, { companyName = process.env.COMPANY_NAME || 'Timesheet' } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true });
+  doc.pipe(stream);
+
+  const contentWidth = doc.page.width - MARGIN * 2;
+  const bottom = () => doc.page.height - MARGIN - 20;
+  const monthLabel = statement.start.toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  // Company header
+  doc.font('Helvetica-Bold').fontSize(18).text(companyName, MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(12).fillColor('#555555').text(`Monthly Timesheet Statement — ${monthLabel}`);
+  doc.fillColor('#000000').moveDown(0.5);
+  doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + contentWidth, doc.y).strokeColor('#1f3a5f').lineWidth(1.5).stroke();
+  doc.moveDown();
+
+  // Employee details
+  const details = [
+    ['Employee', statement.employee.name],
+    ['Employee ID', statement.employee.employeeId || '-'],
+    ['Department', statement.employee.department || '-'],
+    ['Email', statement.employee.email],
+    ['Period', `${formatLongDate(statement.start)} – ${formatLongDate(statement.end)}`]
+  ];
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, MARGIN, y, { width: 90 });
+    doc.font('Helvetica').text(value, MARGIN + 90, y);
+  });
+  doc.moveDown();
+
+  // Day table
+  let y = drawTableHeader(doc, doc.y);
+  doc.fontSize(8);
+
+  statement.days.forEach((row, index) => {
+    const values = cellValues(row);
+    const height = Math.max(...TABLE_COLUMNS.map(column =>
+      doc.heightOfString(String(values[column.key] || ' '), { width: column.width - 8 })
+    )) + 8;
+
+    if (y + height > bottom()) {
+      doc.addPage();
+      y = drawTableHeader(doc, MARGIN);
+      doc.fontSize(8);
+    }
+
+    // Days off are shaded so they stand out from working days
+    if (row.marker) {
+      doc.rect(MARGIN, y, contentWidth, height).fill(row.marker === 'Weekend' ? '#f2f2f2' : '#fff4d6');
+      doc.fillColor('#000000');
+    } else if (index % 2) {
+      doc.rect(MARGIN, y, contentWidth, height).fill('#fafbfd');
+      doc.fillColor('#000000');
+    }
+
+    let x = MARGIN;
+    TABLE_COLUMNS.forEach(column => {
+      const italic = column.key === 'plannedWork' && !row.plannedWork && row.marker;
+      doc.font(italic ? 'Helvetica-Oblique' : 'Helvetica')
+        .text(String(values[column.key]), x + 4, y + 4, { width: column.width - 8, align: column.align || 'left' });
+      x += column.width;
+    });
+
+    doc.moveTo(MARGIN, y + height).lineTo(MARGIN + contentWidth, y + height).strokeColor('#dddddd').lineWidth(0.5).stroke();
+    y += height;
+  });
+
+  // Totals
+  const { totals } = statement;
+  const summary = [
+    ['Total hours', totals.hours.toFixed(2)],
+    ['Days worked', totals.daysWorked],
+    ['Working days in month', totals.workingDays],
+    ['Leave days', totals.leaveDays],
+    ['Holidays', totals.holidays],
+    ['Accepted / Pending / Rejected', `${totals.accepted} / ${totals.pending} / ${totals.rejected}`]
+  ];
+
+  if (y + summary.length * 14 + 30 > bottom()) {
+    doc.addPage();
+    y = MARGIN;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Totals', MARGIN, y + 14);
+  doc.fontSize(10);
+  summary.forEach(([label, value]) => {
+    const rowY = doc.y + 2;
+    doc.font('Helvetica').text(label, MARGIN, rowY, { width: 200 });
+    doc.font('Helvetica-Bold').text(String(value), MARGIN + 200, rowY);
+  });
+
+  // Approvals and signatures
+  const approvals = statement.approvals.length
+    ? statement.approvals
+    : [{ reviewerName: '', level: 'admin', decision: '', decidedAt: null }];
+
+  if (doc.y + 60 + approvals.length * 40 > bottom()) {
+    doc.addPage();
+    doc.y = MARGIN;
+  } else {
+    doc.moveDown(1.5);
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Approval', MARGIN);
+  doc.moveDown(0.5);
+
+  const signatureBlock = (title, name, detail) => {
+    const blockY = doc.y + 20;
+    doc.moveTo(MARGIN, blockY).lineTo(MARGIN + 200, blockY).strokeColor('#000000').lineWidth(0.5).stroke();
+    doc.moveTo(MARGIN + 260, blockY).lineTo(MARGIN + 400, blockY).stroke();
+    doc.font('Helvetica').fontSize(9)
+      .text(`${title}${name ? `: ${name}` : ''}`, MARGIN, blockY + 4, { width: 250 })
+      .text(detail || 'Date', MARGIN + 260, blockY + 4, { width: 200 });
+    doc.y = blockY + 20;
+  };
+
+  signatureBlock('Employee', statement.employee.name, 'Date');
+  approvals.forEach(step => {
+    const role = step.level === 'manager' ? 'Line manager' : 'Approver';
+    const detail = step.decidedAt
+      ? `${step.decision.charAt(0).toUpperCase() + step.decision.slice(1)} ${formatLongDate(step.decidedAt)}`
+      : 'Date';
+    signatureBlock(role, step.reviewerName, detail);
+  });
+
+  // Page numbers and generation date on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // The footer sits in the bottom margin, which PDFKit would otherwise treat as overflow
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#777777').text(
+      `${statement.employee.name} · ${monthLabel} · Generated ${formatLongDate(new Date())} · Page ${i + 1} of ${range.count}`,
+      MARGIN,
+      doc.page.height - MARGIN,
+      { width: contentWidth, align: 'center', lineBreak: false }
+    );
+  }
+
+  doc.end();
+  return doc;
+};
+
+// "YYYY-MM" for the current month
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Build an employee's statement for a month and send it as a PDF download
+const sendStatementPdf = async (res, employee, month) => {
+  const statement = await getMonthlyStatement(employee, month);
+  const name = (employee.employeeId || employee.name).replace(/[^\w-]+/g, '_');
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.attachment(`statement_${name}_${month}.pdf`);
+  renderStatementPdf(statement, res);
+};
+
+module.exports = { getMonthRange, currentMonth, getMonthlyStatement, renderStatementPdf, sendStatementPdf };
@@ -0,0 +1,132 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Organization of the request or job being handled: { organizationId, settings }
+const tenantStorage = new AsyncLocalStorage();
+
+const getTenant = () => tenantStorage.getStore() || null;
+const getTenantId = () => getTenant()?.organizationId || null;
+const getTenantSettings = () => getTenant()?.settings || {};
+
+// Run fn with queries scoped to an organization (a document or an id). Resolves to fn's result.
+const runWithTenant = async (organization, fn) => {
+  const org = organization?.settings
+    ? organization
+    : await mongoose.model('Organization').findById(organization).lean();
+
+  if (!org) {
+    throw new Error(`Organization ${organization} not found`);
+  }
+
+  return tenantStorage.run({ organizationId: org._id, settings: org.settings || {} }, fn);
+};
+
+// Run a background task once for every active organization, each in its own tenant scope.
+// A failure in one organization does not stop the others.
+const forEachOrganization = async (task) => {
+  const organizations = await mongoose.model('Organization').find({ isActive: true }).lean();
+  const results = [];
+
+  for (const organization of organizations) {
+    try {
+      results.push(await runWithTenant(organization._id, task));
+    } catch (error) {
+      console.error(`❌ Task failed for organization ${organization.slug}:`, error);
+    }
+  }
+
+  return results;
+};
+
+const ORIGIN_CACHE_MS = 60 * 1000;
+let originCache = { origins: null, loadedAt: 0 };
+
+// Front-end origins allowed by CORS: CORS_ORIGINS plus every active organization's
+// allowed origins. Cached for a minute; clearAllowedOrigins() forces a reload.
+const getAllowedOrigins = async () => {
+  if (!originCache.origins || Date.now() - originCache.loadedAt > ORIGIN_CACHE_MS) {
+    const organizations = await mongoose.model('Organization')
+      .find({ isActive: true })
+      .select('settings.allowedOrigins')
+      .lean();
+
+    const configured = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+
+    originCache = {
+      origins: new Set([...configured, ...organizations.flatMap(o => o.settings?.allowedOrigins || [])]),
+      loadedAt: Date.now()
+    };
+  }
+
+  return originCache.origins;
+};
+
+const clearAllowedOrigins = () => {
+  originCache = { origins: null, loadedAt: 0 };
+};
+
+const QUERY_HOOKS = [
+  'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne', 'findOneAndDelete',
+  'findOneAndReplace', 'findOneAndUpdate', 'replaceOne', 'updateMany', 'updateOne'
+];
+
+// Schema plugin for per-organization data: adds the `organization` field, stamps new documents
+// with the current tenant and limits every query and aggregation to it. Outside a tenant scope
+// (sign-in, background jobs, super admin) queries are not filtered, so those callers must
+// pick the organization themselves. A query can opt out with .setOptions({ allOrganizations: true }),
+// e.g. to check that an email address is free across the whole platform.
+const tenantScoped = (schema, { required = false } = {}) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required,
+      index: true
+    }
+  });
+
+  schema.pre('validate', function(next) {
+    if (!this.organization && getTenantId()) {
+      this.organization = getTenantId();
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const organizationId = getTenantId();
+    if (organizationId) {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+        if (!doc.organization) doc.organization = organizationId;
+      });
+    }
+    next();
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    const organizationId = getTenantId();
+    if (organizationId && this.getFilter().organization === undefined && !this.getOptions().allOrganizations) {
+      this.where({ organization: organizationId });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const organizationId = getTenantId();
+    if (organizationId) {
+      this.pipeline().unshift({ $match: { organization: organizationId } });
+    }
+  });
+};
+
+module.exports = {
+  getTenant,
+  getTenantId,
+  getTenantSettings,
+  runWithTenant,
+  forEachOrganization,
+  getAllowedOrigins,
+  clearAllowedOrigins,
+  tenantScoped
+};
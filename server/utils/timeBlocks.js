@@ -0,0 +1,92 @@
+const MINUTES_PER_DAY = 24 * 60;
+
+// Parse an "HH:mm" string into minutes since midnight (null if invalid)
+const parseTime = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value.trim());
+  if (!match) return null;
+
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// Round minutes to hours with two decimals
+const minutesToHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// Normalize raw time blocks and check them for overlaps and the 24h limit.
+// Returns { blocks, totalMinutes } on success or { error } with a readable message.
+const normalizeTimeBlocks = (rawBlocks = []) => {
+  if (!Array.isArray(rawBlocks)) {
+    return { error: 'Time blocks must be an array' };
+  }
+
+  const blocks = [];
+
+  for (let i = 0; i < rawBlocks.length; i++) {
+    const raw = rawBlocks[i] || {};
+    const label = `Time block #${i + 1}`;
+    const block = {
+      description: (raw.description || '').trim(),
+      project: raw.project || undefined
+    };
+
+    const hasStart = raw.startTime !== undefined && raw.startTime !== null && raw.startTime !== '';
+    const hasEnd = raw.endTime !== undefined && raw.endTime !== null && raw.endTime !== '';
+
+    if (hasStart || hasEnd) {
+      const start = parseTime(raw.startTime);
+      const end = parseTime(raw.endTime);
+
+      if (start === null) {
+        return { error: `${label}: start time must be in HH:mm format` };
+      }
+
+      if (end === null) {
+        return { error: `${label}: end time must be in HH:mm format` };
+      }
+
+      if (end <= start) {
+        return { error: `${label}: end time must be after start time` };
+      }
+
+      block.startTime = raw.startTime.trim();
+      block.endTime = raw.endTime.trim();
+      block.duration = end - start;
+    } else {
+      const duration = Number(raw.duration);
+
+      if (!Number.isInteger(duration) || duration <= 0) {
+        return { error: `${label}: provide start and end times or a positive duration in minutes` };
+      }
+
+      block.duration = duration;
+    }
+
+    if (!block.description) {
+      return { error: `${label}: description is required` };
+    }
+
+    blocks.push(block);
+  }
+
+  // Only blocks with a start and end can overlap each other
+  const timed = blocks
+    .map((block, index) => ({ index, start: parseTime(block.startTime), end: parseTime(block.endTime) }))
+    .filter(b => b.start !== null)
+    .sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < timed.length; i++) {
+    if (timed[i].start < timed[i - 1].end) {
+      return { error: `Time blocks #${timed[i - 1].index + 1} and #${timed[i].index + 1} overlap` };
+    }
+  }
+
+  const totalMinutes = blocks.reduce((sum, block) => sum + block.duration, 0);
+  if (totalMinutes > MINUTES_PER_DAY) {
+    return { error: 'Time blocks add up to more than 24 hours' };
+  }
+
+  return { blocks, totalMinutes };
+};
+
+module.exports = { MINUTES_PER_DAY, parseTime, minutesToHours, normalizeTimeBlocks };
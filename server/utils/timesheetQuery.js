@@ -0,0 +1,42 @@
+const { scopeEmployeeQuery } = require('./approvals');
+const { filterByDepartment } = require('./departments');
+
+// Mongo filter for the admin timesheet filters (employee, department, project, status, date range,
+// search), limited to the reviewer's reports. Shared by the listing, bulk review and exports.
+const buildTimesheetQuery = async ({ employee, department, project, status, startDate, endDate, search } = {}, reviewer) => {
+  const query = {};
+
+  if (employee && employee !== 'all') {
+    query.employee = employee;
+  }
+
+  if (project && project !== 'all') {
+    query['timeBlocks.project'] = project;
+  }
+
+  if (status && status !== 'all') {
+    query.status = status;
+  }
+
+  if (startDate && endDate) {
+    query.date = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  // Full-text search over the text index; Mongo parses the terms, so user input is never a regex
+  if (search) {
+    query.$text = { $search: String(search) };
+  }
+
+  await filterByDepartment(query, department);
+
+  if (reviewer) {
+    await scopeEmployeeQuery(reviewer, query);
+  }
+
+  return query;
+};
+
+module.exports = { buildTimesheetQuery };
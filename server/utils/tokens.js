@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Random URL-safe secret for refresh, reset and invitation tokens
+const generateSecret = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+// Tokens are stored hashed so a database leak does not expose usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { generateSecret, hashToken };
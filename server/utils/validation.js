@@ -0,0 +1,104 @@
+const { z } = require('zod');
+
+// Error with an HTTP status and a machine-readable code; the error handler turns it into
+// { code, message, details }
+class AppError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Building blocks for request schemas. Query strings and params always arrive as strings.
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be a valid id');
+const dateString = z.string().refine(value => !Number.isNaN(new Date(value).getTime()), 'Must be a valid date');
+const monthString = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Must be in YYYY-MM format');
+const booleanString = z.enum(['true', 'false']);
+const integerString = z.string().regex(/^\d+$/, 'Must be a whole number');
+const yearString = z.string().regex(/^\d{4}$/, 'Must be a four-digit year');
+// Listing filters take an id or "all"
+const idOrAll = z.union([z.literal('all'), objectId]);
+// Non-empty text, trimmed
+const requiredString = z.string().trim().min(1, 'Required');
+// Non-empty text kept exactly as sent, for passwords
+const requiredSecret = z.string().min(1, 'Required');
+// Optional status filter in a listing query: one of the values or "all"
+const statusFilter = (...values) => z.enum(['all', ...values]).optional();
+
+const idParams = z.object({ id: objectId });
+
+// Paging, sorting and field selection understood by parseListOptions
+const listQuery = {
+  page: integerString.optional(),
+  limit: integerString.optional(),
+  sort: z.string().optional(),
+  fields: z.string().optional()
+};
+
+// A start/end date pair in the query, with the end on or after the start
+const dateRangeQuery = (shape = {}) => z.object({
+  startDate: dateString.optional(),
+  endDate: dateString.optional(),
+  ...shape
+}).refine(
+  ({ startDate, endDate }) => !startDate || !endDate || new Date(endDate) >= new Date(startDate),
+  { message: 'End date must be on or after start date', path: ['endDate'] }
+);
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Check req.params, req.query and req.body against zod schemas before the handler runs.
+// The checked values (trimmed strings and so on) replace the raw ones, so handlers store what
+// was validated. Fields a schema does not mention are left as they were.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+
+    const result = schemas[location].safeParse(req[location] ?? {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      details.push(...result.error.issues.map(issue => ({
+        location,
+        field: issue.path.join('.'),
+        message: issue.message
+      })));
+    }
+  }
+
+  if (!details.length) {
+    Object.entries(parsed).forEach(([location, data]) => {
+      if (req[location]) Object.assign(req[location], data);
+      else req[location] = data;
+    });
+    return next();
+  }
+
+  const [first] = details;
+  next(new AppError(400, 'VALIDATION_ERROR', first.field ? `${first.field}: ${first.message}` : first.message, details));
+};
+
+module.exports = {
+  z,
+  AppError,
+  objectId,
+  dateString,
+  monthString,
+  booleanString,
+  integerString,
+  yearString,
+  idOrAll,
+  requiredString,
+  requiredSecret,
+  statusFilter,
+  idParams,
+  listQuery,
+  dateRangeQuery,
+  validate
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const WEBHOOK_EVENTS = [
+  'timesheet.created',
+  'timesheet.updated',
+  'timesheet.deleted',
+  'timesheet.reviewed',
+  'employee.created',
+  'employee.updated',
+  'employee.deleted'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const BASE_RETRY_SECONDS = parseInt(process.env.WEBHOOK_RETRY_SECONDS, 10) || 30;
+const TIMEOUT_MS = 10 * 1000;
+
+// Addresses a webhook may not target: this host, private networks, link-local (cloud metadata
+// services such as 169.254.169.254), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it) are
+  // judged by the IPv4 address they carry
+  const dotted = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return BLOCKED_ADDRESSES.check(dotted[1], 'ipv4');
+
+  const hex = family === 6 && address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return BLOCKED_ADDRESSES.check([high >> 8, high & 255, low >> 8, low & 255].join('.'), 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Hosts allowed to resolve to internal addresses, e.g. a receiver inside the same network:
+// WEBHOOK_ALLOWED_HOSTS=hooks.internal,10.0.0.5
+const getAllowedHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Why a URL may not receive webhooks, or null when it may. Every address the host resolves
+// to must be public, so a webhook cannot reach the server's own network.
+const checkWebhookTarget = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().includes(host)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `Host ${host} could not be resolved`;
+  }
+
+  if (!addresses.length || addresses.some(isBlockedAddress)) {
+    return 'URL must point at a public address';
+  }
+
+  return null;
+};
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed payloads
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Wait before the next attempt: 30s, 1m, 2m, 4m, ...
+const retryDelayMs = (attempts) => BASE_RETRY_SECONDS * 1000 * 2 ** Math.max(attempts - 1, 0);
+
+// Strip secrets from a user before it leaves the server
+const sanitizeUser = (user) => {
+  const data = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  delete data.password;
+  return data;
+};
+
+// POST one delivery and record the outcome, scheduling a retry on failure
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook has been removed or disabled';
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    // Checked again on every attempt, since the host may resolve elsewhere by now
+    const targetError = await checkWebhookTarget(webhook.url);
+    if (targetError) {
+      throw new Error(targetError);
+    }
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Timesheet-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      // A redirect could lead anywhere, including internal hosts; it counts as a failure
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, 2000);
+
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = '';
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Queue a delivery for every active webhook subscribed to the event and try each once right away.
+// Never throws and never waits for receivers, so it cannot slow down or fail the request.
+const emitEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event });
+
+    for (const webhook of webhooks) {
+      // The retry worker leaves it alone until the immediate attempt has had time to finish
+      const delivery = new WebhookDelivery({
+        webhook: webhook._id,
+        event,
+        payload: {},
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(1))
+      });
+      delivery.payload = {
+        id: String(delivery._id),
+        event,
+        createdAt: new Date().toISOString(),
+        data: JSON.parse(JSON.stringify(data))
+      };
+      await delivery.save();
+
+      attemptDelivery(delivery).catch(error => console.error('Webhook delivery error:', error));
+    }
+  } catch (error) {
+    console.error('Webhook emit error:', error);
+  }
+};
+
+// Retry worker: attempt every pending delivery whose backoff has elapsed
+const processDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50);
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+
+  return due.length;
+};
+
+// Send an earlier delivery's payload again as a new delivery
+const redeliver = async (original) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: original.webhook,
+    event: original.event,
+    payload: original.payload,
+    nextAttemptAt: new Date(Date.now() + retryDelayMs(1)),
+    redeliveryOf: original._id
+  });
+
+  return attemptDelivery(delivery);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  isBlockedAddress,
+  checkWebhookTarget,
+  signPayload,
+  sanitizeUser,
+  attemptDelivery,
+  emitEvent,
+  processDueDeliveries,
+  redeliver
+};